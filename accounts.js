@@ -0,0 +1,131 @@
+/**
+ * YtDlp Cookie Accounts
+ * Rotates yt-dlp between several cookie sets (accounts) when YouTube blocks one of them with a bot
+ * check or rate limit, parking the blocked account for a cooldown and keeping health stats per account
+ */
+
+const { parseCookies, readCookiesFile } = require('./cookies');
+const { VideoUnavailableError } = require('./errors');
+
+const DEFAULT_COOLDOWNS = {
+    botCheck: 30 * 60 * 1000,
+    rateLimit: 10 * 60 * 1000,
+    ageRestricted: 0
+};
+
+// Failures caused by the account rather than the video, another account may succeed
+const ROTATE_REASONS = ['botCheck', 'rateLimit', 'ageRestricted'];
+
+class CookieAccountPool {
+    /**
+     * @param {object[]} accounts Accounts as { name, cookies } or { name, cookiesFile }, an account without cookies is anonymous
+     * @param {object} options
+     * - cooldowns: ms an account is skipped after a failure, by reason (botCheck: 30 min, rateLimit: 10 min, ageRestricted: 0)
+     */
+    constructor(accounts = [], options = {}) {
+        this.cooldowns = { ...DEFAULT_COOLDOWNS, ...options.cooldowns };
+        this.accounts = accounts.map((account, index) => {
+            const jar = account.cookiesFile ? readCookiesFile(account.cookiesFile) : parseCookies(account.cookies);
+
+            return {
+                name: account.name || `account-${index + 1}`,
+                cookies: jar.length > 0 ? jar : null,
+                cooldownUntil: 0,
+                lastUsed: 0,
+                stats: {
+                    uses: 0,
+                    successes: 0,
+                    failures: 0,
+                    botCheck: 0,
+                    rateLimit: 0,
+                    ageRestricted: 0,
+                    unavailable: 0,
+                    lastError: null,
+                    lastFailureAt: null
+                }
+            };
+        });
+    }
+
+    get size() {
+        return this.accounts.length;
+    }
+
+    /**
+     * Check if a failed run is worth retrying with another account
+     */
+    static shouldRotate(error) {
+        return ROTATE_REASONS.includes(error?.reason);
+    }
+
+    /**
+     * Pick the account to use next: the least recently used one that is not cooling down,
+     * or the one that recovers first when all are, so a track is never skipped just for that
+     * @param {Set<object>} exclude Accounts already tried for this request
+     */
+    next(exclude = new Set()) {
+        const candidates = this.accounts.filter(account => !exclude.has(account));
+        if (candidates.length === 0) {
+            return null;
+        }
+
+        const now = Date.now();
+        const ready = candidates.filter(account => account.cooldownUntil <= now);
+        const account = ready.length > 0
+            ? ready.reduce((best, account) => account.lastUsed < best.lastUsed ? account : best)
+            : candidates.reduce((best, account) => account.cooldownUntil < best.cooldownUntil ? account : best);
+
+        account.lastUsed = now;
+        account.stats.uses++;
+        return account;
+    }
+
+    /**
+     * Record a successful run, which also ends a cooldown
+     */
+    reportSuccess(account) {
+        if (!account) return;
+
+        account.stats.successes++;
+        account.cooldownUntil = 0;
+    }
+
+    /**
+     * Record a failed run, parking the account if YouTube blocked it
+     */
+    reportFailure(account, error) {
+        if (!account) return;
+
+        const reason = error?.reason;
+        account.stats.failures++;
+        account.stats.lastError = error?.message || String(error);
+        account.stats.lastFailureAt = Date.now();
+
+        // Private and geo-blocked videos count as unavailable
+        const stat = error instanceof VideoUnavailableError ? 'unavailable' : reason;
+        if (stat && stat in account.stats) {
+            account.stats[stat]++;
+        }
+
+        const cooldown = this.cooldowns[reason] || 0;
+        if (cooldown > 0) {
+            account.cooldownUntil = Date.now() + cooldown;
+        }
+    }
+
+    /**
+     * Health of every account, for logging or a status command
+     */
+    getStats() {
+        const now = Date.now();
+
+        return this.accounts.map(account => ({
+            name: account.name,
+            available: account.cooldownUntil <= now,
+            cooldownUntil: account.cooldownUntil > now ? account.cooldownUntil : null,
+            ...account.stats
+        }));
+    }
+}
+
+module.exports = { CookieAccountPool };
@@ -0,0 +1,150 @@
+/**
+ * YtDlp Autoplay Strategy
+ * Picks autoplay tracks out of related/search candidates, keeping per-queue memory of what
+ * was already played so autoplay does not loop between the same few videos or uploaders
+ */
+
+const { normalizeArtist, titleSimilarity } = require('./matching');
+
+class AutoplayStrategy {
+    /**
+     * @param {object} options
+     * - minDuration: skip candidates shorter than this many seconds (default: 60)
+     * - maxDuration: skip candidates longer than this many seconds (default: 600)
+     * - maxSameArtist: how many of the last artistWindow played tracks may share a candidate's artist (default: 2)
+     * - artistWindow: number of recent tracks the artist limit looks at (default: 10)
+     * - similarityThreshold: title similarity from which a candidate counts as a repeat (default: 0.75)
+     * - allowLive: allow live streams (default: false)
+     * - memorySize: tracks remembered per queue (default: 50)
+     * - limit: tracks returned per call (default: 5)
+     */
+    constructor(options = {}) {
+        this.minDuration = options.minDuration ?? 60;
+        this.maxDuration = options.maxDuration ?? 600;
+        this.maxSameArtist = options.maxSameArtist ?? 2;
+        this.artistWindow = options.artistWindow ?? 10;
+        this.similarityThreshold = options.similarityThreshold ?? 0.75;
+        this.allowLive = !!options.allowLive;
+        this.memorySize = options.memorySize ?? 50;
+        this.limit = options.limit ?? 5;
+
+        // Queue ID -> recently played { url, title, artist }, newest last
+        this.memory = new Map();
+    }
+
+    /**
+     * Remember a played track for the queue
+     */
+    remember(queueId, track) {
+        if (!queueId || !track?.url) return;
+
+        const entries = this.memory.get(queueId) || [];
+        if (entries.some(entry => entry.url === track.url)) {
+            return;
+        }
+
+        entries.push({ url: track.url, title: track.title, artist: normalizeArtist(track.author) });
+        if (entries.length > this.memorySize) {
+            entries.splice(0, entries.length - this.memorySize);
+        }
+        this.memory.set(queueId, entries);
+    }
+
+    /**
+     * Forget everything remembered for the queue
+     */
+    forget(queueId) {
+        this.memory.delete(queueId);
+    }
+
+    /**
+     * Check a candidate against the duration bounds and live setting
+     */
+    isAllowed(candidate) {
+        if (!this.allowLive && candidate.isLive) {
+            return false;
+        }
+
+        // Unknown durations pass, as in search filters
+        const seconds = (candidate.durationMS || 0) / 1000;
+        if (seconds > 0) {
+            if (this.minDuration && seconds < this.minDuration) return false;
+            if (this.maxDuration && seconds > this.maxDuration) return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Pick the best candidates to autoplay after a track
+     * @param {string} queueId Queue the memory belongs to
+     * @param {object} seed Track that just played (title, author, url)
+     * @param {object[]} candidates Track info in recommendation order
+     * @param {object[]} history Tracks from discord-player's history, treated like remembered tracks
+     */
+    select(queueId, seed, candidates, history = []) {
+        this.remember(queueId, seed);
+
+        const played = [
+            ...(this.memory.get(queueId) || []),
+            ...history.map(track => ({ url: track.url, title: track.title, artist: normalizeArtist(track.author) }))
+        ];
+        const playedUrls = new Set(played.map(entry => entry.url));
+        const seedArtist = normalizeArtist(seed.author);
+
+        const artistCounts = new Map();
+        for (const entry of (this.memory.get(queueId) || []).slice(-this.artistWindow)) {
+            artistCounts.set(entry.artist, (artistCounts.get(entry.artist) || 0) + 1);
+        }
+
+        const picked = [];
+        // "Song (Official Video)" and "Song (Lyrics)" are the same song
+        const isRepeat = (entry) => [...played, ...picked.map(pick => pick.candidate)]
+            .some(other => titleSimilarity(entry.candidate.title, other.title) >= this.similarityThreshold);
+
+        const scored = candidates
+            .map((candidate, rank) => ({ candidate, rank, artist: normalizeArtist(candidate.author) }))
+            .filter(({ candidate }) => candidate.url && !playedUrls.has(candidate.url) && this.isAllowed(candidate))
+            .map(entry => {
+                // Keep the recommendation order, but favor other artists and clean audio uploads
+                let score = 100 - entry.rank;
+                if (entry.artist && entry.artist === seedArtist) score -= 15;
+                if (/\s-\sTopic$/.test(entry.candidate.author || '')) score += 5;
+                return { ...entry, score };
+            })
+            .sort((a, b) => b.score - a.score);
+
+        for (const entry of scored) {
+            if (picked.length >= this.limit) break;
+
+            const artistCount = artistCounts.get(entry.artist) || 0;
+            if (entry.artist && this.maxSameArtist > 0 && artistCount >= this.maxSameArtist) {
+                continue;
+            }
+
+            if (isRepeat(entry)) {
+                continue;
+            }
+
+            picked.push(entry);
+            artistCounts.set(entry.artist, artistCount + 1);
+        }
+
+        // Better to repeat an artist than to let autoplay stop, but never a song
+        if (picked.length === 0) {
+            const fallback = scored.find(entry => !isRepeat(entry));
+            if (fallback) {
+                picked.push(fallback);
+            }
+        }
+
+        // discord-player plays the first of them, remembered right away so it counts even if it never becomes a seed
+        if (picked.length > 0) {
+            this.remember(queueId, picked[0].candidate);
+        }
+
+        return picked.map(pick => pick.candidate);
+    }
+}
+
+module.exports = { AutoplayStrategy };
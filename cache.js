@@ -0,0 +1,153 @@
+/**
+ * YtDlp Extractor Cache
+ * In-memory LRU cache with per-entry TTL, used for track, playlist and search metadata,
+ * and a cache of resolved stream URLs that honors their expiry
+ *
+ * Any object with the same get/set/delete/clear methods can be used as a cache adapter
+ * (e.g. backed by a file or a Redis-like store). Methods may return promises, and values
+ * are plain JSON-serializable objects.
+ */
+
+const DEFAULT_MAX_SIZE = 500;
+
+class MemoryCache {
+    /**
+     * @param {object} options
+     * - maxSize: maximum number of entries before the least recently used one is evicted (default: 500)
+     */
+    constructor(options = {}) {
+        this.maxSize = options.maxSize || DEFAULT_MAX_SIZE;
+
+        // Map keeps insertion order, re-inserting on read makes it an LRU
+        this.entries = new Map();
+    }
+
+    /**
+     * Get a value, or undefined if it is missing or expired
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return undefined;
+        }
+
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return undefined;
+        }
+
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    /**
+     * Store a value
+     * @param {string} key Cache key
+     * @param {*} value Value to store
+     * @param {number} ttl Time to live in ms, 0 to keep until evicted
+     */
+    set(key, value, ttl = 0) {
+        this.entries.delete(key);
+        this.entries.set(key, {
+            value,
+            expiresAt: ttl > 0 ? Date.now() + ttl : 0
+        });
+
+        while (this.entries.size > this.maxSize) {
+            const oldestKey = this.entries.keys().next().value;
+            this.entries.delete(oldestKey);
+        }
+    }
+
+    /**
+     * Remove a value
+     */
+    delete(key) {
+        this.entries.delete(key);
+    }
+
+    /**
+     * Remove every value
+     */
+    clear() {
+        this.entries.clear();
+    }
+}
+
+/**
+ * Read the expiry time (ms since epoch) of a stream URL
+ * googlevideo URLs carry it as an `expire=` parameter, or as `/expire/<ts>/` in the path
+ * @returns {number|null} null if the URL does not say when it expires
+ */
+const getStreamUrlExpiry = (streamUrl) => {
+    try {
+        const parsed = new URL(streamUrl);
+        const expire = parsed.searchParams.get('expire') || parsed.pathname.match(/\/expire\/(\d+)/)?.[1];
+        const seconds = Number(expire);
+        return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+class StreamUrlCache {
+    /**
+     * @param {object} options
+     * - defaultTtl: lifetime in ms of URLs that do not carry an expiry (default: 10 minutes)
+     * - safetyMargin: URLs are dropped this many ms before they expire (default: 5 minutes)
+     * - maxSize: maximum number of cached URLs (default: 500)
+     */
+    constructor(options = {}) {
+        this.defaultTtl = options.defaultTtl ?? 10 * 60 * 1000;
+        this.safetyMargin = options.safetyMargin ?? 5 * 60 * 1000;
+        this.entries = new MemoryCache({ maxSize: options.maxSize });
+    }
+
+    /**
+     * Get a still valid stream URL for the given track URL
+     */
+    get(url) {
+        return this.entries.get(url);
+    }
+
+    /**
+     * Remember the stream URL resolved for a track URL, until shortly before it expires
+     */
+    set(url, streamUrl) {
+        const expiresAt = getStreamUrlExpiry(streamUrl) ?? Date.now() + this.defaultTtl;
+        const ttl = expiresAt - Date.now() - this.safetyMargin;
+
+        if (ttl > 0) {
+            this.entries.set(url, streamUrl, ttl);
+        }
+    }
+
+    /**
+     * Forget the stream URL for a track URL
+     */
+    delete(url) {
+        this.entries.delete(url);
+    }
+
+    /**
+     * Forget every stream URL
+     */
+    clear() {
+        this.entries.clear();
+    }
+}
+
+/**
+ * Normalize a search query so trivially different queries share a cache entry
+ */
+const normalizeQuery = (query) => {
+    return String(query).trim().toLowerCase().replace(/\s+/g, ' ');
+};
+
+module.exports = {
+    MemoryCache,
+    StreamUrlCache,
+    getStreamUrlExpiry,
+    normalizeQuery
+};
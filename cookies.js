@@ -0,0 +1,307 @@
+/**
+ * YtDlp Cookie Manager
+ * Writes cookies to private files in the OS temp directory for yt-dlp `--cookies`,
+ * one file per yt-dlp call since yt-dlp writes its cookie jar back to the file on exit
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Signals that end the process without running 'exit' handlers
+const CLEANUP_SIGNALS = ['SIGINT', 'SIGTERM', 'SIGHUP'];
+
+class CookieManager {
+    /**
+     * @param {object} options
+     * - directory: where cookie files are written (default: os.tmpdir())
+     */
+    constructor(options = {}) {
+        this.directory = options.directory || os.tmpdir();
+
+        // Paths of the cookie files currently in use
+        this.files = new Set();
+
+        this.exitHandlers = null;
+    }
+
+    /**
+     * Write a cookies file for a single yt-dlp call from the given cookies (any format parseCookies accepts)
+     * Every successful acquire must be paired with a release of the returned path, which deletes the file.
+     * @returns {string|null} Path to the cookies file, or null if there are no cookies
+     */
+    acquire(cookies) {
+        const jar = parseCookies(cookies);
+        if (jar.length === 0) {
+            return null;
+        }
+
+        // Even an existing cookies.txt is copied, so concurrent runs never rewrite the same file
+        const filePath = path.join(this.directory, `ytdlp_cookies_${process.pid}_${crypto.randomBytes(8).toString('hex')}.txt`);
+
+        // 'wx' refuses to follow or overwrite anything already at that path
+        fs.writeFileSync(filePath, toNetscapeFormat(jar), { mode: 0o600, flag: 'wx' });
+
+        this.files.add(filePath);
+        this.registerExitHandlers();
+
+        return filePath;
+    }
+
+    /**
+     * Delete a cookies file obtained from acquire()
+     */
+    release(filePath) {
+        if (!filePath || !this.files.delete(filePath)) return;
+
+        try {
+            fs.unlinkSync(filePath);
+        } catch (cleanupError) {
+            // Ignore cleanup errors
+        }
+    }
+
+    /**
+     * Delete every cookies file still in use
+     */
+    clear() {
+        for (const filePath of [...this.files]) {
+            this.release(filePath);
+        }
+    }
+
+    /**
+     * Make sure cookie files do not outlive the process, also when it is stopped by a signal
+     */
+    registerExitHandlers() {
+        if (this.exitHandlers) return;
+
+        this.exitHandlers = { exit: () => this.clear() };
+        process.once('exit', this.exitHandlers.exit);
+
+        for (const signal of CLEANUP_SIGNALS) {
+            this.exitHandlers[signal] = () => {
+                this.clear();
+
+                // Listening for a signal disables Node's default of exiting, re-raise it unless the app handles it
+                if (process.listenerCount(signal) === 0) {
+                    process.kill(process.pid, signal);
+                }
+            };
+            process.once(signal, this.exitHandlers[signal]);
+        }
+    }
+}
+
+const NETSCAPE_HEADER = '# Netscape HTTP Cookie File\n# This is a generated file! Do not edit.\n\n';
+
+/**
+ * Turn a cookie object from any supported export into the internal cookie shape
+ * Understands Netscape fields, EditThisCookie/browser extension exports and Puppeteer/Playwright cookies
+ */
+const normalizeCookie = (cookie, defaultDomain = '.youtube.com') => {
+    if (!cookie || typeof cookie !== 'object' || !cookie.name) {
+        return null;
+    }
+
+    let domain = String(cookie.domain || defaultDomain).trim();
+    const hostOnly = cookie.hostOnly === true || cookie.includeSubdomains === false;
+
+    // Netscape ties "include subdomains" to the leading dot, yt-dlp rejects files where they disagree
+    if (hostOnly) {
+        domain = domain.replace(/^\./, '');
+    } else if (!domain.startsWith('.')) {
+        domain = `.${domain}`;
+    }
+
+    let expires = Number(cookie.expires ?? cookie.expirationDate ?? cookie.expiry ?? 0);
+    if (cookie.session === true || !Number.isFinite(expires) || expires < 0) {
+        expires = 0;
+    }
+
+    return {
+        domain,
+        includeSubdomains: domain.startsWith('.'),
+        path: cookie.path || '/',
+        secure: cookie.secure === true || cookie.secure === 'TRUE' || /^__(Secure|Host)-/.test(cookie.name),
+        httpOnly: cookie.httpOnly === true,
+        expires: Math.floor(expires),
+        name: String(cookie.name).trim(),
+        value: String(cookie.value ?? '').trim()
+    };
+};
+
+/**
+ * Parse a Netscape cookies.txt file
+ */
+const parseNetscapeCookies = (content) => {
+    const cookies = [];
+
+    for (const rawLine of content.split(/\r?\n/)) {
+        let line = rawLine.trim();
+        let httpOnly = false;
+
+        if (line.startsWith('#HttpOnly_')) {
+            line = line.slice('#HttpOnly_'.length);
+            httpOnly = true;
+        } else if (!line || line.startsWith('#')) {
+            continue;
+        }
+
+        const fields = line.split('\t');
+        if (fields.length < 7) continue;
+
+        const [domain, includeSubdomains, cookiePath, secure, expires, name, ...valueParts] = fields;
+        cookies.push(normalizeCookie({
+            domain,
+            hostOnly: includeSubdomains.toUpperCase() !== 'TRUE',
+            path: cookiePath,
+            secure: secure.toUpperCase() === 'TRUE',
+            httpOnly,
+            expires: Number(expires),
+            name,
+            value: valueParts.join('\t')
+        }));
+    }
+
+    return cookies.filter(Boolean);
+};
+
+/**
+ * Parse a `name=value; name2=value2` cookie header, as copied from browser devtools
+ */
+const parseCookieHeader = (header) => {
+    return header.split(';')
+        .map(cookie => cookie.trim())
+        .filter(cookie => cookie.includes('='))
+        .map(cookie => {
+            const [name, ...valueParts] = cookie.split('=');
+            return normalizeCookie({ name, value: valueParts.join('=') });
+        })
+        .filter(cookie => cookie && cookie.name && cookie.value);
+};
+
+/**
+ * Parse cookies from any supported input into a cookie jar (array of cookie objects)
+ * - array of cookie objects (EditThisCookie, Puppeteer, Playwright, or an already parsed jar)
+ * - object with a `cookies` array, or a plain `{ name: value }` map
+ * - JSON string of either of the above
+ * - Netscape cookies.txt content
+ * - path to a file containing any of the above
+ * - `name=value; name2=value2` header string
+ */
+const parseCookies = (input) => {
+    if (!input) {
+        return [];
+    }
+
+    if (Array.isArray(input)) {
+        return input.map(cookie => normalizeCookie(cookie)).filter(Boolean);
+    }
+
+    if (typeof input === 'object') {
+        if (Array.isArray(input.cookies)) {
+            return parseCookies(input.cookies);
+        }
+        return parseCookies(Object.entries(input).map(([name, value]) => ({ name, value })));
+    }
+
+    if (typeof input !== 'string') {
+        return [];
+    }
+
+    const content = input.trim();
+    if (!content) {
+        return [];
+    }
+
+    if (content.startsWith('[') || content.startsWith('{')) {
+        return parseCookies(JSON.parse(content));
+    }
+
+    if (content.startsWith('# Netscape') || content.startsWith('# HTTP Cookie File') || content.includes('\t')) {
+        return parseNetscapeCookies(content);
+    }
+
+    // A lone line without '=' can only be a path to a cookies file
+    if (!content.includes('=') || (!content.includes(';') && fs.existsSync(content))) {
+        return readCookiesFile(content);
+    }
+
+    return parseCookieHeader(content);
+};
+
+/**
+ * Read and parse a Netscape cookies.txt or JSON cookie export
+ */
+const readCookiesFile = (filePath) => {
+    const content = fs.readFileSync(filePath, 'utf8').trim();
+
+    if (content.startsWith('[') || content.startsWith('{')) {
+        return parseCookies(JSON.parse(content));
+    }
+
+    return parseNetscapeCookies(content);
+};
+
+/**
+ * Serialize a cookie jar to the Netscape format yt-dlp reads with `--cookies`
+ */
+const toNetscapeFormat = (jar) => {
+    let netscapeCookies = NETSCAPE_HEADER;
+
+    for (const cookie of jar) {
+        const domain = cookie.httpOnly ? `#HttpOnly_${cookie.domain}` : cookie.domain;
+        const fields = [
+            domain,
+            cookie.includeSubdomains ? 'TRUE' : 'FALSE',
+            cookie.path,
+            cookie.secure ? 'TRUE' : 'FALSE',
+            String(cookie.expires),
+            cookie.name,
+            cookie.value
+        ];
+        netscapeCookies += `${fields.join('\t')}\n`;
+    }
+
+    return netscapeCookies;
+};
+
+/**
+ * Build a Cookie header from the jar for requests to the given host (used by youtubei.js)
+ */
+const toCookieHeader = (jar, host = 'youtube.com') => {
+    const now = Math.floor(Date.now() / 1000);
+
+    return jar
+        .filter(cookie => {
+            const domain = cookie.domain.replace(/^\./, '');
+            const matches = host === domain || (cookie.includeSubdomains && host.endsWith(`.${domain}`)) || domain.endsWith(`.${host}`);
+            return matches && (cookie.expires === 0 || cookie.expires > now);
+        })
+        .map(cookie => `${cookie.name}=${cookie.value}`)
+        .join('; ');
+};
+
+/**
+ * Convert cookies in any supported format to Netscape format for yt-dlp
+ */
+const convertToNetscapeFormat = (cookies) => {
+    return toNetscapeFormat(parseCookies(cookies));
+};
+
+/**
+ * Manager shared by every yt-dlp helper in this package
+ */
+const cookieManager = new CookieManager();
+
+module.exports = {
+    CookieManager,
+    cookieManager,
+    parseCookies,
+    readCookiesFile,
+    toNetscapeFormat,
+    toCookieHeader,
+    convertToNetscapeFormat
+};
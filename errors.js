@@ -0,0 +1,114 @@
+/**
+ * YtDlp Extractor Errors
+ * Typed errors for the ways a track can fail, so a bot can tell its users why a song did not play.
+ * yt-dlp stderr and youtubei.js errors are both mapped onto them by their message.
+ */
+
+class YtDlpExtractorError extends Error {
+    static reason = null;
+
+    /**
+     * @param {string} message
+     * @param {object} details Kept on the error (url, exitCode, signal, stderr, ...), cause becomes error.cause
+     */
+    constructor(message, details = {}) {
+        const { cause, ...fields } = details;
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.reason = this.constructor.reason;
+        Object.assign(this, fields);
+    }
+}
+
+class VideoUnavailableError extends YtDlpExtractorError {
+    static reason = 'unavailable';
+}
+
+class PrivateVideoError extends VideoUnavailableError {
+    static reason = 'private';
+}
+
+class GeoBlockedError extends VideoUnavailableError {
+    static reason = 'geoBlocked';
+}
+
+class AgeRestrictedError extends YtDlpExtractorError {
+    static reason = 'ageRestricted';
+}
+
+class RateLimitedError extends YtDlpExtractorError {
+    static reason = 'rateLimit';
+}
+
+class BotCheckError extends YtDlpExtractorError {
+    static reason = 'botCheck';
+}
+
+class BinaryMissingError extends YtDlpExtractorError {
+    static reason = 'binaryMissing';
+}
+
+class TimeoutError extends YtDlpExtractorError {
+    static reason = 'timeout';
+}
+
+class UnsupportedUrlError extends YtDlpExtractorError {
+    static reason = 'unsupported';
+}
+
+// yt-dlp/YouTube messages by error class, checked in order (private and geo-blocked videos are also "unavailable")
+const ERROR_PATTERNS = [
+    [BotCheckError, /confirm you(?:'|’)?re not a bot|confirm you are not a bot/i],
+    [RateLimitedError, /HTTP Error 429|Too Many Requests|rate[- ]?limit|content isn(?:'|’)t available, try again later/i],
+    [AgeRestrictedError, /confirm your age|age[- ]restricted|inappropriate for some users|AGE_CHECK_REQUIRED|AGE_VERIFICATION_REQUIRED/i],
+    [PrivateVideoError, /private video|(?:video|playlist) is private|been made private/i],
+    [GeoBlockedError, /not available in your country|geo[- ]?restrict|blocked it in your country|not made this video available in your country/i],
+    [UnsupportedUrlError, /unsupported url/i],
+    [VideoUnavailableError, /video unavailable|video (?:is|has been) removed|members[- ]only|video is not available|no longer available|account associated with this video has been terminated|(?:video|playlist) not found|does not exist/i],
+    [TimeoutError, /timed? ?out/i]
+];
+
+/**
+ * Find the error class matching a yt-dlp stderr or youtubei.js error message, null if none does
+ */
+const classifyError = (text) => {
+    const match = ERROR_PATTERNS.find(([, pattern]) => pattern.test(text || ''));
+    return match ? match[0] : null;
+};
+
+/**
+ * Turn any error into the matching typed error, keeping the original as its cause
+ * Errors that are already typed are returned as they are; unrecognized ones become a YtDlpExtractorError.
+ * @param {Error|string} error
+ * @param {object} details Extra fields for the new error (e.g. url)
+ */
+const toExtractorError = (error, details = {}) => {
+    if (error instanceof YtDlpExtractorError) {
+        return error;
+    }
+
+    const message = error?.message || String(error);
+    let ErrorClass = classifyError(`${error?.stderr || ''}\n${message}`) || YtDlpExtractorError;
+    if (error?.code === 'ENOENT') {
+        ErrorClass = BinaryMissingError;
+    } else if (error?.timedOut) {
+        ErrorClass = TimeoutError;
+    }
+
+    return new ErrorClass(message, { ...details, cause: error instanceof Error ? error : undefined });
+};
+
+module.exports = {
+    YtDlpExtractorError,
+    VideoUnavailableError,
+    PrivateVideoError,
+    GeoBlockedError,
+    AgeRestrictedError,
+    RateLimitedError,
+    BotCheckError,
+    BinaryMissingError,
+    TimeoutError,
+    UnsupportedUrlError,
+    classifyError,
+    toExtractorError
+};
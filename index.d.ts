@@ -1,4 +1,5 @@
-import { BaseExtractor, Track, Playlist, ExtractorInfo, SearchQueryType } from 'discord-player';
+import { BaseExtractor, Track, Playlist, ExtractorInfo, SearchQueryType, GuildQueue } from 'discord-player';
+import { Readable } from 'stream';
 
 export interface YtDlpExtractorOptions {
   /**
@@ -20,37 +21,637 @@ export interface YtDlpExtractorOptions {
    * Enable direct URL extraction (default: true)
    */
   enableDirectUrls?: boolean;
+
+  /**
+   * Where plain search queries are sent (default: 'youtube').
+   * `ytsearch:`, `ytmsearch:`, `scsearch:`, `bilisearch:` and `nicosearch:` query prefixes override it per query
+   */
+  searchSource?: SearchSource;
+
+  /**
+   * Number of results returned for a search query (default: 1).
+   * Can be overridden per call with `extractor.search(query, { limit })`
+   */
+  searchLimit?: number;
+
+  /**
+   * Filters applied to YouTube search results
+   */
+  searchFilters?: SearchFilters;
   
   /**
    * Stream quality format for yt-dlp (default: 'bestaudio[ext=m4a]/bestaudio[ext=webm]/bestaudio')
    */
   streamQuality?: string;
+
+  /**
+   * How audio is handed to discord-player (default: 'url')
+   * - 'url': return the media URL resolved by yt-dlp
+   * - 'pipe': spawn yt-dlp with `-o -` and return its output as a Readable
+   */
+  streamMode?: 'url' | 'pipe';
+
+  /**
+   * Where YouTube audio comes from (default: 'ytdlp'); other sites always use yt-dlp
+   * - 'ytdlp': spawn yt-dlp
+   * - 'youtubei': get the format from youtubei.js (getStreamingData, or download in pipe mode), yt-dlp when that fails
+   * - 'auto': like 'youtubei', but YouTube streams stay on yt-dlp for 10 minutes after youtubei.js failed
+   */
+  youtubeStreamSource?: YouTubeStreamSource;
+
+  /**
+   * Allow live streams (default: true). When false, live URLs are rejected and live results left out
+   */
+  allowLive?: boolean;
+
+  /**
+   * Quality selector for live streams (default: 'bestaudio/best[height<=360][acodec!=none]/best[acodec!=none]')
+   */
+  liveStreamQuality?: string;
+
+  /**
+   * How live streams are handed to discord-player (default: 'pipe')
+   * - 'url': return the HLS manifest URL
+   * - 'pipe': pipe the stream through yt-dlp as MPEG-TS
+   */
+  liveStreamMode?: 'url' | 'pipe';
   
   /**
    * YouTubei.js options
    */
   youtubeiOptions?: {
     /**
-     * YouTube cookies for authentication
+     * YouTube cookies for authentication, shared with yt-dlp.
+     * Accepts a `name=value; ...` header string, Netscape cookies.txt content or path,
+     * a JSON cookie export, or an array of cookie objects
      */
-    cookies?: string | object;
+    cookies?: string | CookieInput[] | { cookies: CookieInput[] } | Record<string, string>;
     
     /**
      * YouTube client configuration
      */
     client?: string;
   };
+
+  /**
+   * Path to a Netscape cookies.txt or JSON cookie export, used instead of `youtubeiOptions.cookies`.
+   * Read on activation and again whenever it changes
+   */
+  cookiesFile?: string;
+
+  /**
+   * Cookie sets yt-dlp rotates through when YouTube answers one with a bot check, rate limit or
+   * age restriction. Used instead of `cookiesFile`/`youtubeiOptions.cookies` for yt-dlp
+   */
+  accounts?: CookieAccount[];
+
+  /**
+   * How long (ms) an account is skipped after a failure, by reason
+   * (default: botCheck 30 minutes, rateLimit 10 minutes, ageRestricted 0)
+   */
+  accountCooldowns?: Partial<Record<'botCheck' | 'rateLimit' | 'ageRestricted', number>>;
+
+  /**
+   * Share one youtubei.js client between extractors registered with the same youtubeiOptions,
+   * instead of each extractor creating its own (default: false)
+   */
+  sharedSession?: boolean;
+
+  /**
+   * Metadata cache for tracks, playlists and search results (default: in-memory LRU).
+   * Set to false to disable caching
+   */
+  cache?: false | {
+    /**
+     * Custom cache backend (default: in-memory LRU)
+     */
+    adapter?: CacheAdapter;
+
+    /**
+     * Maximum entries of the default in-memory cache (default: 500)
+     */
+    maxSize?: number;
+
+    /**
+     * Time to live per entry type, in ms
+     */
+    ttl?: {
+      /** Video metadata (default: 1 hour) */
+      track?: number;
+      /** Playlist contents (default: 10 minutes) */
+      playlist?: number;
+      /** Search results (default: 10 minutes) */
+      search?: number;
+    };
+  };
+
+  /**
+   * Cache of resolved stream URLs (only used with streamMode 'url'). Set to false to disable
+   */
+  streamCache?: false | {
+    /**
+     * Lifetime of URLs that carry no `expire=` parameter, in ms (default: 10 minutes)
+     */
+    defaultTtl?: number;
+
+    /**
+     * Cached URLs are dropped this many ms before they expire (default: 5 minutes)
+     */
+    safetyMargin?: number;
+
+    /**
+     * Maximum number of cached URLs (default: 500)
+     */
+    maxSize?: number;
+  };
+
+  /**
+   * Resolve the next queued track's stream URL before the current track ends (default: false).
+   * Only used with streamMode 'url'
+   */
+  prefetch?: boolean | {
+    /**
+     * How long before the end of the current track to start prefetching (default: 20)
+     */
+    secondsBeforeEnd?: number;
+  };
+
+  /**
+   * How stream URLs are resolved when the first try fails, false for a single try
+   */
+  streamResolution?: StreamResolutionOptions | false;
+
+  /**
+   * Maximum number of tracks loaded from a YouTube playlist (default: 1000)
+   */
+  maxPlaylistTracks?: number;
+
+  /**
+   * Stop loading further YouTube playlist pages after this many ms (default: 30000)
+   */
+  playlistTimeBudget?: number;
+
+  /**
+   * Number of tracks loaded from a YouTube Mix/Radio (default: 50)
+   */
+  mixSize?: number;
+
+  /**
+   * Queue more of a YouTube Mix when its last loaded track starts playing (default: true)
+   */
+  extendMixes?: boolean;
+
+  /**
+   * What a YouTube URL with both a video and a playlist (watch?v=X&list=Y&index=N) plays (default: 'playlist').
+   * - 'video': only the video
+   * - 'playlist': the whole playlist
+   * - 'playlistFromVideo': the playlist, starting at the referenced video (or `index`)
+   */
+  playlistUrlMode?: 'video' | 'playlist' | 'playlistFromVideo';
+
+  /**
+   * Autoplay strategy options, or a custom strategy
+   */
+  autoplay?: AutoplayOptions | AutoplayStrategyLike;
+
+  /**
+   * Where autoplay for non-YouTube tracks looks (default: 'youtube').
+   * - 'youtube': YouTube's related videos for the matching YouTube video
+   * - 'native': the track's own site through yt-dlp (SoundCloud recommendations, otherwise the uploader's uploads),
+   *   falling back to YouTube
+   */
+  autoplaySource?: 'youtube' | 'native';
+
+  /**
+   * Where tracks from other extractors (Spotify, Apple Music, Deezer, ...) are looked up when bridged (default: 'youtube')
+   */
+  bridgeSource?: 'youtube' | 'youtubeMusic';
+
+  /**
+   * Minimum match score (0-1) a bridged candidate needs to be played (default: 0.5)
+   */
+  bridgeMinScore?: number;
+
+  /**
+   * Return the first page of a YouTube playlist right away and add the remaining pages
+   * to the queue in the background (default: false)
+   */
+  incrementalPlaylists?: boolean;
+
+  /**
+   * Make handle() throw typed errors instead of returning an empty result (default: false)
+   */
+  throwOnError?: boolean;
+}
+
+/**
+ * Cache of resolved stream URLs, honoring the `expire=` parameter of googlevideo URLs
+ */
+export declare class StreamUrlCache {
+  defaultTtl: number;
+  safetyMargin: number;
+  constructor(options?: { defaultTtl?: number; safetyMargin?: number; maxSize?: number });
+  get(url: string): string | undefined;
+  set(url: string, streamUrl: string): void;
+  delete(url: string): void;
+  clear(): void;
+}
+
+/**
+ * Cache backend for metadata. Methods may be sync or async, values are JSON-serializable
+ */
+export interface CacheAdapter {
+  get(key: string): any | Promise<any>;
+  /**
+   * @param ttl Time to live in ms, 0 to keep until evicted
+   */
+  set(key: string, value: any, ttl: number): void | Promise<void>;
+  delete(key: string): void | Promise<void>;
+  clear?(): void | Promise<void>;
+}
+
+/**
+ * Default in-memory LRU cache with per-entry TTL
+ */
+export declare class MemoryCache implements CacheAdapter {
+  maxSize: number;
+  constructor(options?: { maxSize?: number });
+  get(key: string): any;
+  set(key: string, value: any, ttl?: number): void;
+  delete(key: string): void;
+  clear(): void;
+}
+
+export interface CookieAccount {
+  name?: string;
+  /**
+   * Cookies in any format `youtubeiOptions.cookies` accepts; an account without cookies is anonymous
+   */
+  cookies?: string | CookieInput[] | { cookies: CookieInput[] } | Record<string, string>;
+  cookiesFile?: string;
+}
+
+/**
+ * Why a call failed, from yt-dlp stderr or youtubei.js (set as `error.reason`, null when unknown)
+ */
+export type YtDlpErrorReason =
+  | 'botCheck'
+  | 'rateLimit'
+  | 'ageRestricted'
+  | 'unavailable'
+  | 'private'
+  | 'geoBlocked'
+  | 'unsupported'
+  | 'timeout'
+  | 'binaryMissing';
+
+/**
+ * Base class of every error the extractor throws. yt-dlp failures keep their exitCode, signal and stderr
+ */
+export declare class YtDlpExtractorError extends Error {
+  static reason: YtDlpErrorReason | null;
+  reason: YtDlpErrorReason | null;
+  exitCode?: number | null;
+  signal?: string | null;
+  stderr?: string;
+  timedOut?: boolean;
+  url?: string;
+  videoId?: string;
+  constructor(message: string, details?: Record<string, any> & { cause?: unknown });
+}
+
+/**
+ * The video (or playlist) is unavailable: removed, members-only or not found
+ */
+export declare class VideoUnavailableError extends YtDlpExtractorError {}
+
+/**
+ * The video is private
+ */
+export declare class PrivateVideoError extends VideoUnavailableError {}
+
+/**
+ * The video is not available in this country
+ */
+export declare class GeoBlockedError extends VideoUnavailableError {}
+
+/**
+ * The video needs a signed-in, age-verified account
+ */
+export declare class AgeRestrictedError extends YtDlpExtractorError {}
+
+/**
+ * YouTube rate limited the request (HTTP 429)
+ */
+export declare class RateLimitedError extends YtDlpExtractorError {}
+
+/**
+ * YouTube asked to sign in to confirm this is not a bot
+ */
+export declare class BotCheckError extends YtDlpExtractorError {}
+
+/**
+ * The yt-dlp binary does not exist at ytdlpPath
+ */
+export declare class BinaryMissingError extends YtDlpExtractorError {}
+
+/**
+ * yt-dlp or youtubei.js took too long
+ */
+export declare class TimeoutError extends YtDlpExtractorError {}
+
+/**
+ * The URL is invalid or no extractor supports it
+ */
+export declare class UnsupportedUrlError extends YtDlpExtractorError {}
+
+export interface CookieAccountStats {
+  name: string;
+  available: boolean;
+  /**
+   * Timestamp (ms) the account's cooldown ends, null when it is available
+   */
+  cooldownUntil: number | null;
+  uses: number;
+  successes: number;
+  failures: number;
+  botCheck: number;
+  rateLimit: number;
+  ageRestricted: number;
+  unavailable: number;
+  lastError: string | null;
+  lastFailureAt: number | null;
+}
+
+/**
+ * Owner of a youtubei.js client, created on first use and recreated only when the options change
+ */
+export interface YouTubeSessionLike {
+  get(options?: { cookies?: Cookie[] | null; client?: string | null }): Promise<any | null>;
+  close(): Promise<void>;
+}
+
+export interface AutoplayOptions {
+  /**
+   * Skip candidates shorter than this many seconds (default: 60)
+   */
+  minDuration?: number;
+  /**
+   * Skip candidates longer than this many seconds (default: 600)
+   */
+  maxDuration?: number;
+  /**
+   * How many of the last `artistWindow` played tracks may share a candidate's artist (default: 2)
+   */
+  maxSameArtist?: number;
+  /**
+   * Number of recent tracks the artist limit looks at (default: 10)
+   */
+  artistWindow?: number;
+  /**
+   * Title similarity (0-1) from which a candidate counts as a repeat of a played track (default: 0.75)
+   */
+  similarityThreshold?: number;
+  /**
+   * Allow live streams (default: false)
+   */
+  allowLive?: boolean;
+  /**
+   * Tracks remembered per queue (default: 50)
+   */
+  memorySize?: number;
+  /**
+   * Tracks returned per autoplay call (default: 5)
+   */
+  limit?: number;
+}
+
+/**
+ * Anything that can pick autoplay tracks
+ */
+export interface AutoplayStrategyLike {
+  select(queueId: string | undefined, seed: Track, candidates: TrackInfo[], history: Track[]): TrackInfo[];
+  forget?(queueId: string): void;
+}
+
+/**
+ * Default autoplay strategy: drops repeats (by URL and by similar title), live streams, tracks outside
+ * the duration bounds and over-played artists, remembering played tracks per queue
+ */
+export declare class AutoplayStrategy implements AutoplayStrategyLike {
+  minDuration: number;
+  maxDuration: number;
+  maxSameArtist: number;
+  artistWindow: number;
+  similarityThreshold: number;
+  allowLive: boolean;
+  memorySize: number;
+  limit: number;
+  memory: Map<string, { url: string; title: string; artist: string }[]>;
+  constructor(options?: AutoplayOptions);
+  remember(queueId: string, track: { url: string; title: string; author: string }): void;
+  forget(queueId: string): void;
+  isAllowed(candidate: TrackInfo): boolean;
+  select(queueId: string | undefined, seed: Track, candidates: TrackInfo[], history?: Track[]): TrackInfo[];
+}
+
+/**
+ * Search backends: YouTube and YouTube Music through youtubei.js, the others through yt-dlp's search extractors
+ */
+export type SearchSource = 'youtube' | 'youtubeMusic' | 'soundcloud' | 'bilibili' | 'niconico';
+
+export interface SearchFilters {
+  /**
+   * Minimum duration in seconds
+   */
+  minDuration?: number;
+
+  /**
+   * Maximum duration in seconds
+   */
+  maxDuration?: number;
+
+  /**
+   * Drop live streams (default: false)
+   */
+  excludeLive?: boolean;
+
+  /**
+   * Drop YouTube Shorts (default: false)
+   */
+  excludeShorts?: boolean;
+
+  /**
+   * Move results from "Topic" channels and official audio uploads to the front (default: false)
+   */
+  preferOfficialAudio?: boolean;
+}
+
+/**
+ * A cookie as exported by EditThisCookie-style browser extensions, Puppeteer or Playwright
+ */
+export interface CookieInput {
+  name: string;
+  value: string;
+  domain?: string;
+  path?: string;
+  secure?: boolean;
+  httpOnly?: boolean;
+  hostOnly?: boolean;
+  session?: boolean;
+  /** Expiry in seconds since epoch (Puppeteer/Playwright) */
+  expires?: number;
+  /** Expiry in seconds since epoch (EditThisCookie) */
+  expirationDate?: number;
 }
 
+/**
+ * A parsed cookie, as stored in the extractor's cookie jar
+ */
+export interface Cookie {
+  domain: string;
+  includeSubdomains: boolean;
+  path: string;
+  secure: boolean;
+  httpOnly: boolean;
+  /** Expiry in seconds since epoch, 0 for session cookies */
+  expires: number;
+  name: string;
+  value: string;
+}
+
+export interface Thumbnail {
+  url: string;
+  width: number | null;
+  height: number | null;
+}
+
+/**
+ * Track info returned by every helper, whatever the source (youtubei.js or yt-dlp)
+ */
 export interface TrackInfo {
   id: string;
   title: string;
   author: string;
-  duration: string;
+  /**
+   * Uploader/channel page, null when unknown
+   */
+  authorUrl: string | null;
+  /**
+   * Channel ID (YouTube, or whatever yt-dlp reports as channel_id for other sites), null when unknown
+   */
+  channelId: string | null;
   url: string;
+  /**
+   * Formatted duration ("3:45", "1:02:03"), "0:00" when unknown or live
+   */
+  duration: string;
+  /**
+   * Duration in milliseconds, 0 when unknown or live
+   */
+  durationMS: number;
+  views: number;
+  isLive: boolean;
+  isShort: boolean;
+  /**
+   * Upload date as YYYY-MM-DD, null when unknown
+   */
+  uploadDate: string | null;
+  /**
+   * Largest thumbnail
+   */
   thumbnail: string | null;
-  views?: string | number;
-  description?: string;
+  /**
+   * All known thumbnails, smallest first
+   */
+  thumbnails: Thumbnail[];
+  description: string;
+  /**
+   * Song artists (YouTube Music search results)
+   */
+  artists?: string[];
+  /**
+   * Album name (YouTube Music search results)
+   */
+  album?: string | null;
+  /**
+   * Offset in ms from the timestamp of the YouTube URL the track was loaded from (`t=90`), 0 when there was none
+   */
+  startTime?: number;
+}
+
+export interface SearchCallOptions {
+  /**
+   * Number of results (default: searchLimit)
+   */
+  limit?: number;
+  /**
+   * User the resulting tracks are requested by
+   */
+  requestedBy?: Track['requestedBy'];
+}
+
+export interface StreamResolutionOptions {
+  /**
+   * Retries of an attempt that failed with a transient error (5xx, connection reset, rate limit, a timeout of the first attempt) (default: 2)
+   */
+  retries?: number;
+  /**
+   * Delay before the first retry in ms, doubled for every further retry (default: 1000)
+   */
+  retryDelay?: number;
+  /**
+   * Format selectors tried after streamQuality (default: ['bestaudio/best', 'best[acodec!=none]'])
+   */
+  fallbackFormats?: string[];
+  /**
+   * YouTube clients yt-dlp impersonates next, through `--extractor-args youtube:player_client=...` (default: ['tv', 'web_safari', 'mweb'])
+   */
+  playerClients?: string[];
+  /**
+   * Try once more without cookies when cookies are configured (default: true)
+   */
+  withoutCookies?: boolean;
+  /**
+   * Finally ask youtubei.js for a deciphered stream URL of YouTube videos (default: true)
+   */
+  youtubei?: boolean;
+  /**
+   * No further attempt or retry starts once this many ms have passed (default: 60000)
+   */
+  timeBudget?: number;
+}
+
+/**
+ * Where YouTube audio comes from, see YtDlpExtractorOptions.youtubeStreamSource
+ */
+export type YouTubeStreamSource = 'ytdlp' | 'youtubei' | 'auto';
+
+/**
+ * One step of the stream resolution chain
+ */
+export interface StreamAttempt {
+  format?: string;
+  fallbackFormat?: boolean;
+  playerClient?: string;
+  cookies?: false;
+  youtubei?: boolean;
+  videoId?: string;
+  /**
+   * youtubei.js tried first as the stream source, yt-dlp still follows when it fails
+   */
+  source?: boolean;
+}
+
+export interface BridgeMatch extends TrackInfo {
+  /**
+   * How closely the candidate matches the bridged track, from 0 to 1
+   */
+  matchScore: number;
+  /**
+   * Search query the candidate was found with
+   */
+  bridgeQuery: string;
 }
 
 export interface PlaylistInfo {
@@ -59,6 +660,18 @@ export interface PlaylistInfo {
   description: string;
   thumbnail: string | null;
   author: string;
+  /**
+   * Uploader/channel page of the playlist, when known
+   */
+  authorUrl?: string | null;
+  /**
+   * 'album' for albums (e.g. Bandcamp), 'playlist' otherwise
+   */
+  type?: 'playlist' | 'album';
+  /**
+   * Set for YouTube Mixes/Radios, which are generated and endless
+   */
+  isMix?: boolean;
   url: string;
   tracks: TrackInfo[];
 }
@@ -71,11 +684,58 @@ export declare class YtDlpExtractor extends BaseExtractor {
   enableYouTubeSearch: boolean;
   enableDirectUrls: boolean;
   streamQuality: string;
+  searchSource: SearchSource;
+  searchLimit: number;
+  searchFilters: Required<SearchFilters>;
+  streamMode: 'url' | 'pipe';
+  youtubeStreamSource: YouTubeStreamSource;
+  youtubeiStreamsPausedUntil: number;
+  youtubeiStreams: Set<string>;
+  allowLive: boolean;
+  liveStreamQuality: string;
+  liveStreamMode: 'url' | 'pipe';
   youtubeiOptions: {
-    cookies: string | object | null;
+    cookies: Cookie[] | null;
     client: string | null;
+    session: YouTubeSessionLike;
   };
+  sharedSession: boolean;
+  throwOnError: boolean;
+  youtubeSession: YouTubeSessionLike;
+  reconfiguring: boolean;
+  accounts: {
+    size: number;
+    next(exclude?: Set<object>): { name: string; cookies: Cookie[] | null } | null;
+    getStats(): CookieAccountStats[];
+  } | null;
   protocols: string[];
+  cache: CacheAdapter | null;
+  cacheTtl: {
+    track: number;
+    playlist: number;
+    search: number;
+  };
+  streamCache: StreamUrlCache | null;
+  prefetch: { secondsBeforeEnd: number } | null;
+  streamResolution: Required<StreamResolutionOptions>;
+  prefetchTimers: Map<string, NodeJS.Timeout>;
+  prefetched: Map<string, Promise<string>>;
+  playerListeners: Record<string, (...args: any[]) => unknown>;
+  maxPlaylistTracks: number;
+  playlistTimeBudget: number;
+  incrementalPlaylists: boolean;
+  playlistUrlMode: 'video' | 'playlist' | 'playlistFromVideo';
+  mixSize: number;
+  extendMixes: boolean;
+  autoplay: AutoplayStrategyLike;
+  autoplaySource: 'youtube' | 'native';
+  bridgeSource: 'youtube' | 'youtubeMusic';
+  bridgeMinScore: number;
+  mixes: WeakMap<Playlist, { playlistId: string; context: any; loading: boolean }>;
+  pendingPlaylists: WeakMap<Playlist, { continuation: unknown; remaining: number; context: any }>;
+  activeStreams: Set<Readable>;
+  startTimes: WeakMap<object, number>;
+  startOffsets: WeakMap<object, number>;
 
   constructor(context: any, options: YtDlpExtractorOptions);
 
@@ -89,6 +749,27 @@ export declare class YtDlpExtractor extends BaseExtractor {
    */
   deactivate(): Promise<void>;
 
+  /**
+   * Apply new options, keeping the youtubei.js session unless its options (cookies, client, sharedSession) changed
+   */
+  reconfigure(options: YtDlpExtractorOptions): Promise<void>;
+
+  /**
+   * Read the youtubei.js options (cookies, client) and session setup from the extractor options
+   */
+  loadYouTubeiOptions(options?: YtDlpExtractorOptions): void;
+
+  /**
+   * Read `cookiesFile` into the cookies, and again whenever the file changed
+   * @throws {YtDlpExtractorError} If the file cannot be read or parsed
+   */
+  loadCookiesFile(): void;
+
+  /**
+   * Resolve a value through the metadata cache
+   */
+  withCache<T>(type: 'track' | 'playlist' | 'search', id: string, resolve: () => Promise<T>): Promise<T>;
+
   /**
    * Validate if this extractor can handle the query
    */
@@ -104,20 +785,158 @@ export declare class YtDlpExtractor extends BaseExtractor {
    */
   handleDirectUrl(url: string, context: any): Promise<ExtractorInfo>;
 
+  /**
+   * Get YouTube metadata with configurable preference and fallback
+   */
+  getYouTubeTrackInfo(videoId: string): Promise<TrackInfo & { metadataSource: string }>;
+
   /**
    * Handle YouTube playlist URLs
    */
   handleYouTubePlaylist(url: string, context: any): Promise<ExtractorInfo>;
 
   /**
-   * Handle search queries (YouTube only)
+   * Queue more of a Mix once its last queued track starts playing
+   */
+  extendMix(queue: GuildQueue, track: Track): Promise<void>;
+
+  /**
+   * Find where a playlist URL asks playback to start (index into tracks)
+   */
+  getPlaylistStartIndex(url: string, tracks: TrackInfo[]): number;
+
+  /**
+   * Create a playlist response from playlist info (YouTube or yt-dlp)
+   */
+  createPlaylistResponse(playlistInfo: PlaylistInfo, context: any): ExtractorInfo;
+
+  /**
+   * Create the tracks of a playlist from track info
+   */
+  createPlaylistTracks(playlist: Playlist, tracksInfo: TrackInfo[], context: any): Track[];
+
+  /**
+   * Add the remaining pages of an incrementally loaded playlist to the queue
+   */
+  appendPlaylistPages(queue: GuildQueue, playlist: Playlist, pending: { continuation: unknown; remaining: number; context: any }): Promise<void>;
+
+  /**
+   * Check if searches may be sent to the given source
+   */
+  isSearchSourceEnabled(source: SearchSource): boolean;
+
+  /**
+   * Search with a per-call result limit, for autocomplete or "pick a result" menus
+   */
+  search(query: string, options?: SearchCallOptions): Promise<ExtractorInfo>;
+
+  /**
+   * Handle search queries (YouTube, YouTube Music or a yt-dlp search extractor)
    */
   handleSearchQuery(query: string, context: any): Promise<ExtractorInfo>;
 
   /**
-   * Get streaming URL for a track
+   * Get streaming URL for a track, or a piped stream when the track has a start offset
+   */
+  stream(info: any): Promise<string | Readable>;
+
+  /**
+   * Pipe a track through yt-dlp from an offset in ms
+   */
+  pipeStreamAt(track: Track, url: string, cookies: Cookie[] | null, startTime: number): Readable;
+
+  /**
+   * Start the next stream of a track at an offset in ms, e.g. to resume where it was before a restart
+   * @returns Whether the offset was set; offsets at or past the end of the track and on live tracks are ignored
+   */
+  setStartTime(track: Track, position: number): boolean;
+
+  /**
+   * Seek the current track of a queue to a position in ms, piping it again from there in pipe mode
+   * @returns Whether the seek went through
+   */
+  seek(queue: GuildQueue, position: number): Promise<boolean>;
+
+  /**
+   * Resolve a media URL, working through the configured fallbacks until one attempt succeeds
+   */
+  resolveStreamUrl(url: string, quality: string, options?: { live?: boolean }): Promise<string>;
+
+  /**
+   * List the attempts resolveStreamUrl works through, in order
+   */
+  createStreamAttempts(url: string, quality: string, options?: { live?: boolean }): StreamAttempt[];
+
+  /**
+   * Run a single stream resolution attempt
+   */
+  runStreamAttempt(url: string, attempt: StreamAttempt): Promise<string>;
+
+  /**
+   * Describe a stream resolution attempt for debug output
    */
-  stream(info: any): Promise<string>;
+  describeStreamAttempt(attempt: StreamAttempt): string;
+
+  /**
+   * Schedule resolving the next queued track's stream before the current track ends
+   */
+  schedulePrefetch(queue: GuildQueue, track: Track): void;
+
+  /**
+   * Cancel a scheduled prefetch for the queue
+   */
+  cancelPrefetch(queue: GuildQueue): void;
+
+  /**
+   * Resolve a track's stream URL in the background, for stream() to pick up later
+   */
+  prefetchStream(track: Track): void;
+
+  /**
+   * Pipe audio through yt-dlp instead of returning a media URL
+   */
+  pipeStream(url: string, cookies: Cookie[] | null, options?: { live?: boolean; startTime?: number }): Readable;
+
+  /**
+   * Open the audio a piped track reads from: youtubei.js for YouTube videos when it is the stream source, yt-dlp otherwise
+   */
+  openPipeSource(url: string, cookies: Cookie[] | null): Promise<Readable>;
+
+  /**
+   * Check if YouTube audio for the URL is taken from youtubei.js before trying yt-dlp
+   */
+  usesYouTubeiStreams(url: string): boolean;
+
+  /**
+   * Note that youtubei.js could not provide a stream, pausing it for a while in 'auto' mode
+   */
+  reportYouTubeiStreamFailure(error: Error): void;
+
+  /**
+   * Remember whether a track's stream came from youtubei.js, for playerError to report it
+   */
+  trackYouTubeiStream(url: string, fromYouTubei: boolean): void;
+
+  /**
+   * Run a yt-dlp call with cookies, moving on to the next configured account while YouTube
+   * answers with a bot check, rate limit or age restriction
+   */
+  withAccount<T>(task: (cookies: Cookie[] | null) => Promise<T>): Promise<T>;
+
+  /**
+   * Health stats of the configured cookie accounts, empty without accounts
+   */
+  getAccountStats(): CookieAccountStats[];
+
+  /**
+   * Stream a live track, piped through yt-dlp or as its HLS manifest URL
+   */
+  liveStream(url: string, cookies: Cookie[] | null): Promise<string | Readable>;
+
+  /**
+   * Throw if the track is live and live streams are not allowed
+   */
+  assertLiveAllowed(trackInfo: TrackInfo | null): void;
 
   /**
    * Get related tracks for autoplay functionality
@@ -125,14 +944,25 @@ export declare class YtDlpExtractor extends BaseExtractor {
   getRelatedTracks(track: Track, history: any): Promise<ExtractorInfo>;
 
   /**
-   * Bridge functionality for other extractors
+   * Get related tracks from a non-YouTube track's own site, empty if yt-dlp finds none or fails
+   */
+  getNativeRelatedTracks(track: Track): Promise<TrackInfo[]>;
+
+  /**
+   * Find the YouTube video of a track from another site, ranked by title/artist similarity and duration
+   */
+  findYouTubeMatch(track: Track, source?: 'youtube' | 'youtubeMusic'): Promise<BridgeMatch | null>;
+
+  /**
+   * Bridge functionality for other extractors.
+   * The chosen YouTube candidate is set as `track.bridgedTrack`, its info (with matchScore) as `bridgedTrack.raw`
    */
-  bridge(track: Track, sourceExtractor: BaseExtractor): Promise<{ stream: string; type: string } | null>;
+  bridge(track: Track, sourceExtractor: BaseExtractor | null): Promise<string | Readable | null>;
 
   /**
-   * Create bridge query for track search
+   * Create bridge query for track search (`author - title`)
    */
-  createBridgeQuery(track: Track): string;
+  createBridgeQuery: (track: Track) => string;
 }
 
 export { YtDlpExtractor as default };
@@ -7,29 +7,115 @@
  * - preferYtdlpMetadata: boolean (default: true) - Whether to prefer yt-dlp for YouTube metadata
  * - ytdlpPath: string - Path to yt-dlp binary
  * - streamQuality: string - Quality selector for streaming
+ * - streamMode: 'url' | 'pipe' (default: 'url') - Return a direct media URL or pipe audio through yt-dlp
+ * - youtubeStreamSource: 'ytdlp' | 'youtubei' | 'auto' (default: 'ytdlp') - Get YouTube audio from youtubei.js instead of spawning
+ *   yt-dlp, falling back to yt-dlp when it fails; 'auto' also sticks to yt-dlp for a while after youtubei.js stopped working
+ * - allowLive: boolean (default: true) - Allow live streams; when false they are rejected and left out of results
+ * - liveStreamQuality: string - Quality selector for live streams, which rarely have audio-only formats
+ * - liveStreamMode: 'url' | 'pipe' (default: 'pipe') - Return the HLS manifest URL of live streams or pipe them through yt-dlp
  * - enableYouTubeSearch: boolean (default: true) - Enable YouTube search functionality
+ * - searchSource: 'youtube' | 'youtubeMusic' | 'soundcloud' | 'bilibili' | 'niconico' (default: 'youtube') - Where plain search queries go,
+ *   `ytsearch:`/`ytmsearch:`/`scsearch:`/`bilisearch:`/`nicosearch:` prefixes override it
+ * - searchLimit: number (default: 1) - Number of search results returned, overridable per call with search(query, { limit })
+ * - searchFilters: object - Search result filters (minDuration, maxDuration, excludeLive, excludeShorts, preferOfficialAudio)
  * - enableDirectUrls: boolean (default: true) - Enable direct URL handling
  * - youtubeiOptions: object - Options for youtubei.js (cookies, client)
+ * - sharedSession: boolean (default: false) - Share one youtubei.js client between extractors registered with the same youtubeiOptions
+ * - cookiesFile: string - Path to a Netscape cookies.txt or JSON cookie export, used instead of youtubeiOptions.cookies
+ * - accounts: object[] - Cookie sets ({ name, cookies } or { name, cookiesFile }) yt-dlp rotates through when YouTube blocks one,
+ *   used instead of the cookies above for yt-dlp
+ * - accountCooldowns: object - How long (ms) a blocked account is skipped, by reason (botCheck, rateLimit, ageRestricted)
+ * - cache: object | false - Metadata cache (adapter, maxSize, ttl.track/playlist/search in ms), false to disable
+ * - streamCache: object | false - Stream URL cache (defaultTtl, safetyMargin in ms), false to disable
+ * - prefetch: boolean | object (default: false) - Resolve the next track's stream before the current one ends (secondsBeforeEnd)
+ * - streamResolution: object | false - How stream URLs are resolved when the first try fails (retries, retryDelay, fallbackFormats,
+ *   playerClients, withoutCookies, youtubei, timeBudget), false for a single try
+ * - maxPlaylistTracks: number (default: 1000) - Maximum number of tracks loaded from a YouTube playlist
+ * - playlistTimeBudget: number (default: 30000) - Stop loading further YouTube playlist pages after this many ms
+ * - playlistUrlMode: 'video' | 'playlist' | 'playlistFromVideo' (default: 'playlist') - What a YouTube URL with both a video and a playlist
+ *   (watch?v=X&list=Y&index=N) plays: just the video, the whole playlist, or the playlist starting at that video
+ * - mixSize: number (default: 50) - Number of tracks loaded from a YouTube Mix/Radio
+ * - extendMixes: boolean (default: true) - Queue more of a Mix when its last loaded track starts playing
+ * - autoplay: object - Autoplay strategy options (minDuration, maxDuration, maxSameArtist, artistWindow, similarityThreshold,
+ *   allowLive, memorySize, limit), or a custom strategy with select(queueId, seed, candidates, history) and forget(queueId)
+ * - autoplaySource: 'youtube' | 'native' (default: 'youtube') - Where autoplay for non-YouTube tracks looks: YouTube, through
+ *   a matching YouTube video, or the track's own site through yt-dlp (falls back to YouTube)
+ * - bridgeSource: 'youtube' | 'youtubeMusic' (default: 'youtube') - Where tracks from other extractors (Spotify, Apple Music, ...) are looked up
+ * - bridgeMinScore: number (default: 0.5) - Minimum match score (0-1) for a bridged candidate to be played
+ * - incrementalPlaylists: boolean (default: false) - Return the first playlist page right away and add the rest to the queue in the background
+ * - throwOnError: boolean (default: false) - Make handle() throw typed errors (VideoUnavailableError, BotCheckError, ...) instead of
+ *   returning an empty result
  */
 
+const fs = require('fs');
 const { BaseExtractor, Track, Playlist } = require('discord-player');
+const { YtDlpRunner } = require('./runner');
+const { parseCookies, readCookiesFile } = require('./cookies');
+const { MemoryCache, StreamUrlCache, normalizeQuery } = require('./cache');
+const { AutoplayStrategy } = require('./autoplay');
+const { YouTubeSession, SharedYouTubeSession } = require('./session');
+const { CookieAccountPool } = require('./accounts');
+const {
+    YtDlpExtractorError,
+    VideoUnavailableError,
+    PrivateVideoError,
+    GeoBlockedError,
+    AgeRestrictedError,
+    RateLimitedError,
+    BotCheckError,
+    BinaryMissingError,
+    TimeoutError,
+    UnsupportedUrlError,
+    toExtractorError
+} = require('./errors');
+const { rankMatches } = require('./matching');
 const {
     isValidUrl,
     isYouTubeUrl,
     isYouTubePlaylistUrl,
     extractYouTubeId,
     extractYouTubePlaylistId,
+    extractYouTubePlaylistIndex,
+    extractStartTime,
     searchYouTube,
+    searchYouTubeMusic,
+    searchWithYtDlp,
+    SEARCH_PREFIXES,
+    YTDLP_SEARCH_SOURCES,
+    parseSearchPrefix,
     getYouTubePlaylist,
+    loadPlaylistPages,
+    isYouTubeMixId,
+    getYouTubeMixContinuation,
     getYouTubeMetadata,
     getYouTubeMetadataWithYtDlp,
     getRelatedTracks,
     getStreamingUrl,
+    getYouTubeiStreamUrl,
+    getYouTubeiAudioStream,
+    getAudioStream,
     getBasicInfo,
+    getNativeRelatedTracks,
     canExtract,
+    createTrackObject,
     validateUrl
 } = require('./utils');
 
+// Services yt-dlp cannot stream from (DRM), only their metadata is usable
+const DRM_HOSTS = /^https?:\/\/([a-z0-9-]+\.)*(spotify\.com|music\.apple\.com|deezer\.com|tidal\.com|music\.amazon\.[a-z.]+)\//i;
+
+// Failures no other format, client or account can fix
+const PERMANENT_ERROR_REASONS = ['unavailable', 'private', 'geoBlocked', 'unsupported', 'binaryMissing'];
+
+// How long youtubeStreamSource 'auto' leaves YouTube streams to yt-dlp after youtubei.js failed
+const YOUTUBEI_STREAM_PAUSE = 10 * 60 * 1000;
+
+// Failures of the request rather than the format, no other format gets past them
+const FORMAT_INDEPENDENT_REASONS = ['botCheck', 'ageRestricted'];
+
+// Failures worth retrying as they are after a pause: 5xx responses and dropped connections (timeouts are TimeoutErrors)
+const TRANSIENT_ERROR = /HTTP Error 5\d\d|reset by peer|ECONNRESET|socket hang up/i;
+
 class YtDlpExtractor extends BaseExtractor {
     static identifier = 'ytdlp-extractor';
 
@@ -38,20 +124,113 @@ class YtDlpExtractor extends BaseExtractor {
 
         // Configuration
         this.ytdlpPath = options.ytdlpPath;
+        this.runner = new YtDlpRunner(this.ytdlpPath);
         this.priority = options.priority || 100;
         this.enableYouTubeSearch = options.enableYouTubeSearch !== false;
         this.enableDirectUrls = options.enableDirectUrls !== false;
         this.streamQuality = options.streamQuality || 'bestaudio[ext=m4a]/bestaudio[ext=webm]/bestaudio';
         this.preferYtdlpMetadata = options.preferYtdlpMetadata !== false; // Default to true for consistency
+        this.searchLimit = options.searchLimit || 1;
+        this.searchSource = Object.values(SEARCH_PREFIXES).includes(options.searchSource) ? options.searchSource : 'youtube';
+        this.searchFilters = {
+            minDuration: options.searchFilters?.minDuration || 0,
+            maxDuration: options.searchFilters?.maxDuration || 0,
+            excludeLive: !!options.searchFilters?.excludeLive,
+            excludeShorts: !!options.searchFilters?.excludeShorts,
+            preferOfficialAudio: !!options.searchFilters?.preferOfficialAudio
+        };
+        this.streamMode = options.streamMode === 'pipe' ? 'pipe' : 'url';
 
-        // YouTubei options
-        this.youtubeiOptions = {
-            cookies: options.youtubeiOptions?.cookies || null,
-            client: options.youtubeiOptions?.client || null
+        // YouTube audio straight from youtubei.js skips spawning yt-dlp, which is most of the time to first sound
+        this.youtubeStreamSource = ['youtubei', 'auto'].includes(options.youtubeStreamSource) ? options.youtubeStreamSource : 'ytdlp';
+        this.youtubeiStreamsPausedUntil = 0;
+        this.youtubeiStreams = new Set(); // track URLs last streamed from youtubei.js, reported if their playback fails
+
+        // Live streams are HLS, usually without audio-only formats; the smallest muxed format still has good audio
+        this.allowLive = options.allowLive !== false;
+        this.liveStreamQuality = options.liveStreamQuality || 'bestaudio/best[height<=360][acodec!=none]/best[acodec!=none]';
+        this.liveStreamMode = options.liveStreamMode === 'url' ? 'url' : 'pipe';
+        if (!this.allowLive) {
+            this.searchFilters.excludeLive = true;
+        }
+
+        // YouTubei options and the youtubei.js session, read again on activate
+        this.youtubeSession = null;
+        this.reconfiguring = false;
+        this.loadYouTubeiOptions(options);
+
+        // Cookie sets yt-dlp rotates through when one gets bot-checked or rate limited
+        this.accounts = Array.isArray(options.accounts) && options.accounts.length > 0
+            ? new CookieAccountPool(options.accounts, { cooldowns: options.accountCooldowns })
+            : null;
+
+        // Metadata cache, in-memory LRU unless an adapter is provided
+        const cacheOptions = options.cache === false ? null : (options.cache || {});
+        this.cache = cacheOptions ? (cacheOptions.adapter || new MemoryCache({ maxSize: cacheOptions.maxSize })) : null;
+        this.cacheTtl = {
+            track: cacheOptions?.ttl?.track ?? 60 * 60 * 1000,
+            playlist: cacheOptions?.ttl?.playlist ?? 10 * 60 * 1000,
+            search: cacheOptions?.ttl?.search ?? 10 * 60 * 1000
+        };
+
+        // Resolved stream URLs, kept until shortly before they expire
+        this.streamCache = options.streamCache === false ? null : new StreamUrlCache(options.streamCache || {});
+
+        // Resolve the next track's stream shortly before the current one ends
+        this.prefetch = options.prefetch
+            ? { secondsBeforeEnd: options.prefetch.secondsBeforeEnd ?? 20 }
+            : null;
+        this.prefetchTimers = new Map(); // guild ID -> timer
+        this.prefetched = new Map(); // track URL -> Promise<stream URL>
+        this.playerListeners = {};
+
+        // Fallback chain for stream URLs: retries, other formats, other YouTube clients, no cookies, youtubei.js
+        const resolution = options.streamResolution === false ? null : (options.streamResolution || {});
+        this.streamResolution = {
+            retries: resolution ? (resolution.retries ?? 2) : 0,
+            retryDelay: resolution?.retryDelay ?? 1000,
+            fallbackFormats: resolution ? (resolution.fallbackFormats || ['bestaudio/best', 'best[acodec!=none]']) : [],
+            playerClients: resolution ? (resolution.playerClients || ['tv', 'web_safari', 'mweb']) : [],
+            withoutCookies: resolution ? resolution.withoutCookies !== false : false,
+            youtubei: resolution ? resolution.youtubei !== false : false,
+            timeBudget: resolution?.timeBudget ?? 60000
         };
 
-        // Supported protocols for direct URLs
-        this.protocols = ['http:', 'https:'];
+        // YouTube playlist pagination
+        this.maxPlaylistTracks = options.maxPlaylistTracks ?? 1000;
+        this.playlistTimeBudget = options.playlistTimeBudget ?? 30000;
+        this.incrementalPlaylists = !!options.incrementalPlaylists;
+        this.playlistUrlMode = ['video', 'playlist', 'playlistFromVideo'].includes(options.playlistUrlMode) ? options.playlistUrlMode : 'playlist';
+        this.pendingPlaylists = new WeakMap(); // Playlist -> { continuation, remaining, context }
+
+        // YouTube Mixes are endless, load a batch and extend the queue as it runs out
+        this.mixSize = options.mixSize ?? 50;
+        this.extendMixes = options.extendMixes !== false;
+        this.mixes = new WeakMap(); // Playlist -> { playlistId, context, loading }
+
+        // Picks autoplay tracks and remembers what each queue played
+        this.autoplay = typeof options.autoplay?.select === 'function'
+            ? options.autoplay
+            : new AutoplayStrategy(options.autoplay || {});
+        this.autoplaySource = options.autoplaySource === 'native' ? 'native' : 'youtube';
+
+        // Streaming tracks of other extractors through a matching YouTube video
+        this.bridgeSource = options.bridgeSource === 'youtubeMusic' ? 'youtubeMusic' : 'youtube';
+        this.bridgeMinScore = options.bridgeMinScore ?? 0.5;
+
+        // BaseExtractor sets its own createBridgeQuery as an instance field, which would hide a method on this class
+        this.createBridgeQuery = (track) => `${track.author} - ${track.title}`;
+
+        // handle() returns an empty result on failure unless asked to throw
+        this.throwOnError = !!options.throwOnError;
+
+        // Supported protocols for direct URLs, plus search prefixes discord-player routes to us (e.g. `ytmsearch:query`)
+        this.protocols = ['http:', 'https:', ...Object.keys(SEARCH_PREFIXES)];
+
+        // Streams currently being piped (yt-dlp or youtubei.js), destroyed on deactivate
+        this.activeStreams = new Set();
+        this.startTimes = new WeakMap(); // Track -> offset its next stream starts at (URL timestamp, seek(), setStartTime())
+        this.startOffsets = new WeakMap(); // Track -> offset its current stream started at, for playerTrigger to move the progress to
 
         this.debug('YtDlp Extractor initialized');
     }
@@ -63,21 +242,218 @@ class YtDlpExtractor extends BaseExtractor {
         this.debug('Activating YtDlp Extractor');
 
         // Verify yt-dlp binary exists
-        const fs = require('fs');
-        if (!fs.existsSync(this.ytdlpPath)) {
-            throw new Error(`yt-dlp binary not found at: ${this.ytdlpPath}`);
+        this.runner.assertBinary();
+
+        // reconfigure() only replaces this.options before activating again
+        const previousSession = this.youtubeSession;
+        this.loadYouTubeiOptions(this.options);
+        if (previousSession !== this.youtubeSession) {
+            await previousSession.close();
+        }
+        this.loadCookiesFile();
+
+        // Start the youtubei.js client now rather than on the first search; on failure yt-dlp is used instead
+        await this.youtubeSession.get(this.youtubeiOptions);
+
+        // Queue events this extractor reacts to, removed again on deactivate
+        this.playerListeners = {
+            // Drop the cached stream URL of a track that failed to play, so a retry resolves a fresh one
+            playerError: (queue, error, track) => {
+                // Bridged tracks belong to another extractor, their stream was resolved here for the bridged URL
+                const url = track?.extractor === this
+                    ? track.url
+                    : (track?.bridgedExtractor === this ? (track.bridgedTrack?.url || track.url) : null);
+                if (!url) {
+                    return;
+                }
+
+                if (this.streamCache) {
+                    this.debug(`Playback failed, invalidating cached stream URL for: ${url}`);
+                    this.streamCache.delete(url);
+                }
+
+                // youtubei.js URLs and downloads can still fail once FFmpeg reads them
+                if (this.youtubeiStreams.delete(url)) {
+                    this.reportYouTubeiStreamFailure(error);
+                }
+            },
+            // Also emitted for replays (seek()), which skip playerStart
+            playerTrigger: (queue, track) => {
+                // discord-player counts from 0, a stream started at an offset is already further in
+                const startTime = this.startOffsets.get(track);
+                if (startTime) {
+                    this.startOffsets.delete(track);
+                    queue.node.setProgress(startTime);
+                }
+            },
+            playerStart: (queue, track) => {
+                if (this.prefetch) this.schedulePrefetch(queue, track);
+                if (this.extendMixes) this.extendMix(queue, track);
+            }
+        };
+
+        if (this.prefetch) {
+            this.playerListeners.playerFinish = (queue) => this.cancelPrefetch(queue);
+            this.playerListeners.playerSkip = (queue) => this.cancelPrefetch(queue);
+            this.playerListeners.emptyQueue = (queue) => this.cancelPrefetch(queue);
+        }
+
+        this.playerListeners.queueDelete = (queue) => {
+            if (this.prefetch) this.cancelPrefetch(queue);
+            this.autoplay.forget?.(queue.id);
+        };
+
+        if (this.incrementalPlaylists) {
+            // Load the remaining pages once the first page of a playlist lands in a queue
+            this.playerListeners.audioTracksAdd = (queue, tracks) => {
+                const playlist = tracks[0]?.playlist;
+                const pending = playlist && this.pendingPlaylists.get(playlist);
+                if (pending) {
+                    this.pendingPlaylists.delete(playlist);
+                    this.appendPlaylistPages(queue, playlist, pending);
+                }
+            };
+        }
+
+        for (const [event, listener] of Object.entries(this.playerListeners)) {
+            this.context.player.events.on(event, listener);
         }
 
         this.debug('YtDlp Extractor activated successfully');
     }
 
+    /**
+     * Apply new options, discord-player deactivates and activates the extractor with them
+     */
+    async reconfigure(options) {
+        this.reconfiguring = true;
+        try {
+            await super.reconfigure(options);
+        } finally {
+            this.reconfiguring = false;
+        }
+    }
+
+    /**
+     * Read the youtubei.js options (cookies, client) and session setup from the extractor options
+     * The session only creates a new client when these differ from the ones its current client was made with.
+     */
+    loadYouTubeiOptions(options = {}) {
+        // Cookies are parsed into a jar shared by youtubei.js and yt-dlp, a cookies file only once it is used
+        this.cookiesFile = options.cookiesFile || null;
+        this.cookiesFileModified = null;
+        const cookieJar = this.cookiesFile ? [] : parseCookies(options.youtubeiOptions?.cookies);
+
+        // youtubei.js client owned by this extractor, or borrowed from the pool with sharedSession
+        const sharedSession = !!options.sharedSession;
+        if (!this.youtubeSession || sharedSession !== this.sharedSession) {
+            this.sharedSession = sharedSession;
+            this.youtubeSession = sharedSession ? new SharedYouTubeSession() : new YouTubeSession();
+        }
+
+        // Helpers find the session on youtubeiOptions, which every call already passes along
+        this.youtubeiOptions = {
+            cookies: cookieJar.length > 0 ? cookieJar : null,
+            client: options.youtubeiOptions?.client || null,
+            session: this.youtubeSession
+        };
+    }
+
+    /**
+     * Read the cookies file into youtubeiOptions, and again whenever it changed (e.g. rotated cookies)
+     * A changed jar gives youtubei.js a new session on its next call.
+     * @throws {YtDlpExtractorError} If the file cannot be read or parsed
+     */
+    loadCookiesFile() {
+        if (!this.cookiesFile) {
+            return;
+        }
+
+        try {
+            const modified = fs.statSync(this.cookiesFile).mtimeMs;
+            if (modified === this.cookiesFileModified) {
+                return;
+            }
+
+            const cookieJar = readCookiesFile(this.cookiesFile);
+            this.youtubeiOptions.cookies = cookieJar.length > 0 ? cookieJar : null;
+            this.cookiesFileModified = modified;
+            this.debug(`Loaded ${cookieJar.length} cookies from ${this.cookiesFile}`);
+        } catch (error) {
+            throw new YtDlpExtractorError(`Could not read cookies file ${this.cookiesFile}: ${error.message}`, {
+                cookiesFile: this.cookiesFile,
+                cause: error
+            });
+        }
+    }
+
     /**
      * Deactivate the extractor
      */
     async deactivate() {
+        for (const [event, listener] of Object.entries(this.playerListeners)) {
+            this.context.player.events.off(event, listener);
+        }
+        this.playerListeners = {};
+
+        for (const timer of this.prefetchTimers.values()) {
+            clearTimeout(timer);
+        }
+        this.prefetchTimers.clear();
+        this.prefetched.clear();
+        this.youtubeiStreams.clear();
+
+        for (const stream of this.activeStreams) {
+            stream.destroy();
+        }
+        this.activeStreams.clear();
+
+        // A reconfigure keeps the session, activate() replaces its client only if the options changed
+        if (!this.reconfiguring) {
+            await this.youtubeSession.close();
+        }
+
         this.debug('YtDlp Extractor deactivated');
     }
 
+    /**
+     * Resolve a value through the metadata cache
+     * @param {string} type Cache namespace and TTL to use ('track', 'playlist' or 'search')
+     * @param {string} id Video ID, playlist ID or normalized search query
+     * @param {Function} resolve Called on a cache miss, its result is cached unless empty
+     */
+    async withCache(type, id, resolve) {
+        if (!this.cache) {
+            return resolve();
+        }
+
+        const key = `${type}:${id}`;
+
+        try {
+            const cached = await this.cache.get(key);
+            if (cached !== undefined && cached !== null) {
+                this.debug(`Cache hit: ${key}`);
+                return cached;
+            }
+        } catch (error) {
+            this.debug(`Cache read error for ${key}: ${error.message}`);
+        }
+
+        this.debug(`Cache miss: ${key}`);
+        const value = await resolve();
+
+        const isEmpty = !value || (Array.isArray(value) && value.length === 0);
+        if (!isEmpty) {
+            try {
+                await this.cache.set(key, value, this.cacheTtl[type]);
+            } catch (error) {
+                this.debug(`Cache write error for ${key}: ${error.message}`);
+            }
+        }
+
+        return value;
+    }
+
     /**
      * Validate if this extractor can handle the query
      */
@@ -85,6 +461,13 @@ class YtDlpExtractor extends BaseExtractor {
         try {
             this.debug(`Validating query: ${query}, type: ${type}`);
 
+            // Prefixed searches (ytmsearch:...) also parse as URLs, so check them first
+            const prefixed = parseSearchPrefix(query);
+            if (prefixed) {
+                this.debug(`Prefixed search query for ${prefixed.source}`);
+                return this.isSearchSourceEnabled(prefixed.source);
+            }
+
             // Handle direct URLs
             if (isValidUrl(query)) {
                 if (!this.enableDirectUrls) {
@@ -100,12 +483,12 @@ class YtDlpExtractor extends BaseExtractor {
 
                 // Check if yt-dlp can handle other URLs (with timeout)
                 this.debug('Checking if yt-dlp can extract URL');
-                const canHandle = await canExtract(query, this.ytdlpPath);
+                const canHandle = await canExtract(query, this.runner);
                 return canHandle;
             }
 
-            // Handle search queries - accept all if YouTube search is enabled
-            if (this.enableYouTubeSearch) {
+            // Handle search queries - accept all if the default search source is enabled
+            if (this.isSearchSourceEnabled(this.searchSource)) {
                 this.debug('Search query accepted');
                 return true;
             }
@@ -124,14 +507,19 @@ class YtDlpExtractor extends BaseExtractor {
     async handle(query, context) {
         try {
             this.debug(`Handling query: ${query}`);
-            
-            if (isValidUrl(query)) {
+            this.loadCookiesFile();
+
+            if (isValidUrl(query) && !parseSearchPrefix(query)) {
                 return await this.handleDirectUrl(query, context);
             } else {
                 return await this.handleSearchQuery(query, context);
             }
         } catch (error) {
-            this.debug(`Handle error: ${error.message}`);
+            const extractorError = toExtractorError(error, { query });
+            this.debug(`Handle error: ${extractorError.name}: ${extractorError.message}`);
+            if (this.throwOnError) {
+                throw extractorError;
+            }
             return this.createResponse(null, []);
         }
     }
@@ -142,109 +530,51 @@ class YtDlpExtractor extends BaseExtractor {
     async handleDirectUrl(url, context) {
         try {
             if (!validateUrl(url)) {
-                throw new Error('Invalid URL format');
+                throw new UnsupportedUrlError('Invalid URL format', { url });
             }
 
             if (isYouTubeUrl(url)) {
-                // Check if it's a playlist URL
-                if (isYouTubePlaylistUrl(url)) {
+                // Check if it's a playlist URL, a video shared from a playlist only plays the video in 'video' mode
+                if (isYouTubePlaylistUrl(url) && !(this.playlistUrlMode === 'video' && extractYouTubeId(url))) {
                     return await this.handleYouTubePlaylist(url, context);
                 }
 
                 // Handle single video
                 const videoId = extractYouTubeId(url);
                 if (!videoId) {
-                    throw new Error('Could not extract YouTube video ID');
+                    throw new UnsupportedUrlError('Could not extract YouTube video ID', { url });
                 }
 
-                // Get YouTube metadata with configurable preference and fallback
-                let trackInfo;
-                let metadataSource;
-
-                if (this.preferYtdlpMetadata) {
-                    // Try yt-dlp first, fallback to youtubei.js
-                    metadataSource = 'yt-dlp';
-                    try {
-                        const cookies = this.youtubeiOptions?.cookies || null;
-                        this.debug(`Attempting to get metadata using yt-dlp for video: ${videoId}`);
-                        trackInfo = await getYouTubeMetadataWithYtDlp(videoId, this.ytdlpPath, cookies);
-                        this.debug(`Successfully got metadata using yt-dlp`);
-                    } catch (ytdlpError) {
-                        this.debug(`yt-dlp metadata failed: ${ytdlpError.message}`);
-                        this.debug(`Falling back to youtubei.js for metadata`);
-                        metadataSource = 'youtubei.js';
-
-                        try {
-                            trackInfo = await getYouTubeMetadata(videoId, this.youtubeiOptions);
-                            if (trackInfo) {
-                                this.debug(`Successfully got metadata using youtubei.js fallback`);
-                            }
-                        } catch (youtubeiError) {
-                            this.debug(`youtubei.js metadata also failed: ${youtubeiError.message}`);
-                            trackInfo = null;
-                        }
-                    }
-                } else {
-                    // Try youtubei.js first, fallback to yt-dlp
-                    metadataSource = 'youtubei.js';
-                    try {
-                        this.debug(`Attempting to get metadata using youtubei.js for video: ${videoId}`);
-                        trackInfo = await getYouTubeMetadata(videoId, this.youtubeiOptions);
-                        if (trackInfo) {
-                            this.debug(`Successfully got metadata using youtubei.js`);
-                        } else {
-                            throw new Error('youtubei.js returned null');
-                        }
-                    } catch (youtubeiError) {
-                        this.debug(`youtubei.js metadata failed: ${youtubeiError.message}`);
-                        this.debug(`Falling back to yt-dlp for metadata`);
-                        metadataSource = 'yt-dlp';
-
-                        try {
-                            const cookies = this.youtubeiOptions?.cookies || null;
-                            trackInfo = await getYouTubeMetadataWithYtDlp(videoId, this.ytdlpPath, cookies);
-                            if (trackInfo) {
-                                this.debug(`Successfully got metadata using yt-dlp fallback`);
-                            }
-                        } catch (ytdlpError) {
-                            this.debug(`yt-dlp metadata also failed: ${ytdlpError.message}`);
-                            trackInfo = null;
-                        }
-                    }
-                }
-
-                if (!trackInfo) {
-                    throw new Error('Could not get YouTube metadata from either yt-dlp or youtubei.js');
-                }
-
-                // Add metadata source info to raw data
-                trackInfo.metadataSource = metadataSource;
+                // Get YouTube metadata, from the cache when possible
+                const trackInfo = await this.withCache('track', videoId, () => this.getYouTubeTrackInfo(videoId));
+                this.assertLiveAllowed(trackInfo);
 
+                // The cached info is shared, the shared timestamp (`t=`) only belongs to this track
+                const startTime = extractStartTime(url, trackInfo.durationMS);
                 const track = new Track(this, {
-                    title: trackInfo.title,
-                    author: trackInfo.author,
-                    duration: trackInfo.duration,
-                    url: trackInfo.url,
-                    thumbnail: trackInfo.thumbnail,
-                    source: 'ytdlp-extractor',
-                    raw: trackInfo,
+                    ...createTrackObject({ ...trackInfo, startTime }, 'ytdlp-extractor'),
                     requestedBy: context.requestedBy,
                     queryType: 'arbitrary'
                 });
+                this.setStartTime(track, startTime);
 
                 return this.createResponse(null, [track]);
             } else {
                 // Use yt-dlp for other sites
-                const trackInfo = await getBasicInfo(url, this.ytdlpPath);
+                const trackInfo = await getBasicInfo(url, this.runner);
+
+                // Sets, albums and channel pages come back as playlists
+                if (trackInfo.type === 'playlist' || trackInfo.type === 'album') {
+                    if (!trackInfo.tracks || trackInfo.tracks.length === 0) {
+                        throw new VideoUnavailableError('Could not get playlist information or playlist is empty', { url });
+                    }
+                    return this.createPlaylistResponse(trackInfo, context);
+                }
+
+                this.assertLiveAllowed(trackInfo);
 
                 const track = new Track(this, {
-                    title: trackInfo.title,
-                    author: trackInfo.author,
-                    duration: trackInfo.duration,
-                    url: trackInfo.url,
-                    thumbnail: trackInfo.thumbnail,
-                    source: 'ytdlp-extractor',
-                    raw: trackInfo,
+                    ...createTrackObject(trackInfo, 'ytdlp-extractor'),
                     requestedBy: context.requestedBy,
                     queryType: 'arbitrary'
                 });
@@ -253,10 +583,84 @@ class YtDlpExtractor extends BaseExtractor {
             }
         } catch (error) {
             this.debug(`Direct URL error: ${error.message}`);
-            throw error;
+            throw toExtractorError(error, { url });
         }
     }
 
+    /**
+     * Get YouTube metadata with configurable preference and fallback
+     */
+    async getYouTubeTrackInfo(videoId) {
+        let trackInfo;
+        let metadataSource;
+        const failures = [];
+
+        if (this.preferYtdlpMetadata) {
+            // Try yt-dlp first, fallback to youtubei.js
+            metadataSource = 'yt-dlp';
+            try {
+                this.debug(`Attempting to get metadata using yt-dlp for video: ${videoId}`);
+                trackInfo = await this.withAccount(cookies => getYouTubeMetadataWithYtDlp(videoId, this.runner, cookies));
+                this.debug(`Successfully got metadata using yt-dlp`);
+            } catch (ytdlpError) {
+                failures.push(ytdlpError);
+                this.debug(`yt-dlp metadata failed: ${ytdlpError.message}`);
+                this.debug(`Falling back to youtubei.js for metadata`);
+                metadataSource = 'youtubei.js';
+
+                try {
+                    trackInfo = await getYouTubeMetadata(videoId, this.youtubeiOptions);
+                    if (trackInfo) {
+                        this.debug(`Successfully got metadata using youtubei.js fallback`);
+                    }
+                } catch (youtubeiError) {
+                    failures.push(youtubeiError);
+                    this.debug(`youtubei.js metadata also failed: ${youtubeiError.message}`);
+                    trackInfo = null;
+                }
+            }
+        } else {
+            // Try youtubei.js first, fallback to yt-dlp
+            metadataSource = 'youtubei.js';
+            try {
+                this.debug(`Attempting to get metadata using youtubei.js for video: ${videoId}`);
+                trackInfo = await getYouTubeMetadata(videoId, this.youtubeiOptions);
+                if (trackInfo) {
+                    this.debug(`Successfully got metadata using youtubei.js`);
+                } else {
+                    throw new Error('youtubei.js returned null');
+                }
+            } catch (youtubeiError) {
+                failures.push(youtubeiError);
+                this.debug(`youtubei.js metadata failed: ${youtubeiError.message}`);
+                this.debug(`Falling back to yt-dlp for metadata`);
+                metadataSource = 'yt-dlp';
+
+                try {
+                    trackInfo = await this.withAccount(cookies => getYouTubeMetadataWithYtDlp(videoId, this.runner, cookies));
+                    if (trackInfo) {
+                        this.debug(`Successfully got metadata using yt-dlp fallback`);
+                    }
+                } catch (ytdlpError) {
+                    failures.push(ytdlpError);
+                    this.debug(`yt-dlp metadata also failed: ${ytdlpError.message}`);
+                    trackInfo = null;
+                }
+            }
+        }
+
+        if (!trackInfo) {
+            // Keep why it failed (private, age restricted, bot check, ...) if either source could tell
+            const reasoned = failures.map(error => toExtractorError(error, { videoId })).find(error => error.reason);
+            throw reasoned || new YtDlpExtractorError('Could not get YouTube metadata from either yt-dlp or youtubei.js', { videoId });
+        }
+
+        // Add metadata source info to raw data
+        trackInfo.metadataSource = metadataSource;
+
+        return trackInfo;
+    }
+
     /**
      * Handle YouTube playlist URLs
      */
@@ -264,50 +668,50 @@ class YtDlpExtractor extends BaseExtractor {
         try {
             const playlistId = extractYouTubePlaylistId(url);
             if (!playlistId) {
-                throw new Error('Could not extract playlist ID');
+                throw new UnsupportedUrlError('Could not extract playlist ID', { url });
             }
 
-            const playlistInfo = await getYouTubePlaylist(playlistId, this.youtubeiOptions);
+            const pagination = {
+                maxTracks: this.maxPlaylistTracks,
+                timeBudget: this.playlistTimeBudget,
+                videoId: extractYouTubeId(url),
+                mixSize: this.mixSize,
+                onError: error => this.debug(`Playlist page failed, keeping the tracks loaded so far: ${error.message}`)
+            };
+
+            // A Mix depends on the video it was opened from
+            const isMix = isYouTubeMixId(playlistId);
+            const cacheId = isMix && pagination.videoId ? `${playlistId}:${pagination.videoId}` : playlistId;
+
+            // The continuation of an incremental load cannot be cached, so only complete playlists are
+            const playlistInfo = this.incrementalPlaylists && !isMix
+                ? await getYouTubePlaylist(playlistId, this.youtubeiOptions, { ...pagination, firstPageOnly: true })
+                : await this.withCache('playlist', cacheId, () => getYouTubePlaylist(playlistId, this.youtubeiOptions, pagination));
             if (!playlistInfo || !playlistInfo.tracks || playlistInfo.tracks.length === 0) {
-                throw new Error('Could not get playlist information or playlist is empty');
-            }
-
-            // Create playlist object
-            const playlist = new Playlist(this, {
-                title: playlistInfo.title,
-                description: playlistInfo.description,
-                thumbnail: playlistInfo.thumbnail,
-                type: 'playlist',
-                source: 'ytdlp-extractor',
-                author: {
-                    name: playlistInfo.author,
-                    url: null
-                },
-                tracks: [],
-                id: playlistId,
-                url: playlistInfo.url,
-                rawPlaylist: playlistInfo
-            });
+                throw new VideoUnavailableError('Could not get playlist information or playlist is empty', { url });
+            }
 
-            // Create tracks
-            const tracks = playlistInfo.tracks.map(trackData => {
-                const track = new Track(this, {
-                    title: trackData.title,
-                    author: trackData.author,
-                    duration: trackData.duration,
-                    url: trackData.url,
-                    thumbnail: trackData.thumbnail,
-                    source: 'ytdlp-extractor',
-                    raw: trackData,
-                    requestedBy: context.requestedBy,
-                    queryType: 'arbitrary',
-                    playlist: playlist
+            const { continuation, ...info } = playlistInfo;
+            if (this.playlistUrlMode === 'playlistFromVideo') {
+                info.tracks = info.tracks.slice(this.getPlaylistStartIndex(url, info.tracks));
+            }
+
+            const response = this.createPlaylistResponse(info, context);
+
+            if (continuation) {
+                this.debug(`Loaded first page of playlist ${playlistId}, remaining pages load once it is queued`);
+                this.pendingPlaylists.set(response.playlist, {
+                    continuation,
+                    remaining: this.maxPlaylistTracks - playlistInfo.tracks.length,
+                    context
                 });
-                return track;
-            });
+            }
 
-            playlist.tracks = tracks;
-            return this.createResponse(playlist, tracks);
+            if (isMix) {
+                this.mixes.set(response.playlist, { playlistId, context, loading: false });
+            }
+
+            return response;
         } catch (error) {
             this.debug(`YouTube playlist error: ${error.message}`);
             throw error;
@@ -315,99 +719,746 @@ class YtDlpExtractor extends BaseExtractor {
     }
 
     /**
-     * Handle search queries (YouTube only)
+     * Queue more of a Mix once its last queued track starts playing
      */
-    async handleSearchQuery(query, context) {
+    async extendMix(queue, track) {
+        const mix = track?.playlist && this.mixes.get(track.playlist);
+        if (!mix || mix.loading || queue.tracks.some(queued => queued.playlist === track.playlist)) {
+            return;
+        }
+
+        mix.loading = true;
         try {
-            if (!this.enableYouTubeSearch) {
-                throw new Error('YouTube search is disabled');
-            }
+            const playlist = track.playlist;
+            const loadedIds = playlist.tracks.map(loaded => loaded.raw?.id).filter(Boolean);
+            const more = await getYouTubeMixContinuation(mix.playlistId, loadedIds[loadedIds.length - 1] || track.raw?.id, loadedIds, this.youtubeiOptions);
 
-            const searchResults = await searchYouTube(query, 1, this.youtubeiOptions);
-            if (!searchResults || searchResults.length === 0) {
-                return this.createResponse(null, []);
+            if (more.length === 0 || queue.deleted) {
+                this.debug(`No more tracks to add from Mix: ${mix.playlistId}`);
+                return;
             }
 
-            const result = searchResults[0];
+            const tracks = this.createPlaylistTracks(playlist, more, mix.context);
+            playlist.tracks.push(...tracks);
+            queue.addTrack(tracks);
+            this.debug(`Extended Mix ${mix.playlistId} with ${tracks.length} tracks`);
+        } catch (error) {
+            this.debug(`Mix continuation error: ${error.message}`);
+        } finally {
+            mix.loading = false;
+        }
+    }
+
+    /**
+     * Find where a playlist URL asks playback to start
+     * The referenced video wins over `index=`, since the index goes stale when the playlist changes
+     */
+    getPlaylistStartIndex(url, tracks) {
+        const videoId = extractYouTubeId(url);
+        const videoIndex = videoId ? tracks.findIndex(track => track.id === videoId) : -1;
+        if (videoIndex !== -1) {
+            return videoIndex;
+        }
+
+        const index = extractYouTubePlaylistIndex(url);
+        if (index && index <= tracks.length) {
+            return index - 1;
+        }
+
+        if (videoId || index) {
+            this.debug(`Start position not found in loaded playlist tracks, starting from the beginning`);
+        }
+        return 0;
+    }
+
+    /**
+     * Create a playlist response from playlist info (YouTube or yt-dlp)
+     */
+    createPlaylistResponse(playlistInfo, context) {
+        // Create playlist object
+        const playlist = new Playlist(this, {
+            title: playlistInfo.title,
+            description: playlistInfo.description,
+            thumbnail: playlistInfo.thumbnail,
+            type: playlistInfo.type || 'playlist',
+            source: 'ytdlp-extractor',
+            author: {
+                name: playlistInfo.author,
+                url: playlistInfo.authorUrl || null
+            },
+            tracks: [],
+            id: playlistInfo.id,
+            url: playlistInfo.url,
+            rawPlaylist: playlistInfo
+        });
+
+        // Create tracks
+        const tracks = this.createPlaylistTracks(playlist, playlistInfo.tracks, context);
+
+        playlist.tracks = tracks;
+        return this.createResponse(playlist, tracks);
+    }
 
-            // Create track with YouTube URL that will be passed to yt-dlp for streaming
+    /**
+     * Create the tracks of a playlist from track info
+     */
+    createPlaylistTracks(playlist, tracksInfo, context) {
+        return tracksInfo.filter(trackData => this.allowLive || !trackData.isLive).map(trackData => {
             const track = new Track(this, {
-                title: result.title,
-                author: result.author,
-                duration: result.duration,
-                url: result.url, // This YouTube URL will be used by yt-dlp for streaming
-                thumbnail: result.thumbnail,
-                source: 'ytdlp-extractor',
-                raw: {
-                    ...result,
-                    originalQuery: query,
-                    searchMethod: 'youtubei'
-                },
+                ...createTrackObject(trackData, 'ytdlp-extractor'),
                 requestedBy: context.requestedBy,
-                queryType: 'youtubeSearch'
+                queryType: 'arbitrary',
+                playlist: playlist
             });
+            return track;
+        });
+    }
+
+    /**
+     * Add the remaining pages of an incrementally loaded playlist to the queue
+     */
+    async appendPlaylistPages(queue, playlist, pending) {
+        let added = 0;
 
-            return this.createResponse(null, [track]);
+        try {
+            for await (const page of loadPlaylistPages(pending.continuation, {
+                maxTracks: pending.remaining,
+                timeBudget: this.playlistTimeBudget,
+                onError: error => this.debug(`Playlist page failed, stopped loading ${playlist.title}: ${error.message}`)
+            })) {
+                if (queue.deleted) {
+                    this.debug(`Queue deleted, stopped loading playlist: ${playlist.title}`);
+                    return;
+                }
+
+                const tracks = this.createPlaylistTracks(playlist, page, pending.context);
+                playlist.tracks.push(...tracks);
+                queue.addTrack(tracks);
+                added += tracks.length;
+            }
+
+            this.debug(`Added ${added} more tracks from playlist: ${playlist.title}`);
         } catch (error) {
-            this.debug(`Search query error: ${error.message}`);
-            // Return empty response instead of throwing to prevent crashes
+            this.debug(`Playlist continuation error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Check if searches may be sent to the given source
+     * YouTube sources follow enableYouTubeSearch, yt-dlp search extractors are always available
+     */
+    isSearchSourceEnabled(source) {
+        if (YTDLP_SEARCH_SOURCES[source]) {
+            return true;
+        }
+        return this.enableYouTubeSearch;
+    }
+
+    /**
+     * Search with a per-call result limit, for autocomplete or "pick a result" menus
+     * Search prefixes (`ytmsearch:`, `scsearch:`, ...) work as in player.search(); failures are thrown when throwOnError is set.
+     * @param {string} query Search query
+     * @param {object} options limit (default: searchLimit), requestedBy
+     */
+    async search(query, options = {}) {
+        return this.handle(query, { requestedBy: options.requestedBy ?? null, limit: options.limit });
+    }
+
+    /**
+     * Handle search queries (YouTube, YouTube Music or a yt-dlp search extractor)
+     * Search failures are thrown as typed errors for handle() to return or rethrow
+     */
+    async handleSearchQuery(query, context) {
+        // Search source from the protocol discord-player stripped, a prefix left in the query, or the default
+        const prefixed = parseSearchPrefix(query);
+        const source = SEARCH_PREFIXES[context?.protocol] || prefixed?.source || this.searchSource;
+        const searchQuery = prefixed ? prefixed.query : query;
+        if (!searchQuery) {
+            return this.createResponse(null, []);
+        }
+
+        if (!this.isSearchSourceEnabled(source)) {
+            throw new YtDlpExtractorError('YouTube search is disabled');
+        }
+
+        // Per-call limit from search(), discord-player itself has no way to pass one
+        const limit = Math.max(1, Number(context?.limit ?? this.searchLimit) || 1);
+
+        const searchResults = await this.withCache('search', `${source}:${limit}:${normalizeQuery(searchQuery)}`, () => {
+            if (YTDLP_SEARCH_SOURCES[source]) {
+                return searchWithYtDlp(searchQuery, source, this.runner, limit, this.searchFilters);
+            }
+            const search = source === 'youtubeMusic' ? searchYouTubeMusic : searchYouTube;
+            return search(searchQuery, limit, this.youtubeiOptions, this.searchFilters);
+        });
+        if (!searchResults || searchResults.length === 0) {
             return this.createResponse(null, []);
         }
+
+        // Create tracks with page URLs that will be passed to yt-dlp for streaming
+        const tracks = searchResults.map(result => new Track(this, {
+            ...createTrackObject({
+                ...result,
+                originalQuery: searchQuery,
+                searchMethod: YTDLP_SEARCH_SOURCES[source] ? 'yt-dlp' : 'youtubei',
+                searchSource: source
+            }, 'ytdlp-extractor'),
+            requestedBy: context.requestedBy,
+            queryType: source === 'soundcloud' ? 'soundcloudSearch' : (YTDLP_SEARCH_SOURCES[source] ? 'arbitrary' : 'youtubeSearch')
+        }));
+
+        return this.createResponse(null, tracks);
     }
 
     /**
      * Get streaming URL for a track
+     * A track with a start offset (URL timestamp, seek(), setStartTime()) is piped through yt-dlp from there,
+     * since a media URL cannot carry it; other plays start from the beginning as usual.
      */
     async stream(info) {
         try {
             this.debug(`Getting stream for: ${info.title || info.raw?.title || 'Unknown'}`);
+            this.loadCookiesFile();
 
             // Use the URL from the track info
             const url = info.url || info.raw?.url;
             if (!url) {
-                throw new Error('No URL found in track info');
+                throw new UnsupportedUrlError('No URL found in track info');
             }
 
-            // Get fresh streaming URL each time to avoid expiration
             // Pass cookies to yt-dlp for authentication if available
             const cookies = this.youtubeiOptions?.cookies || null;
-            const streamUrl = await getStreamingUrl(url, this.ytdlpPath, this.streamQuality, cookies);
 
-            if (!streamUrl || !streamUrl.startsWith('http')) {
-                throw new Error('Invalid streaming URL returned');
+            // Manifest URLs of live streams are short-lived and never worth caching or prefetching
+            if (info.live || info.raw?.isLive) {
+                return await this.liveStream(url, cookies);
+            }
+
+            this.startOffsets.delete(info);
+            const startTime = this.startTimes.get(info);
+            if (startTime) {
+                return this.pipeStreamAt(info, url, cookies, startTime);
             }
 
+            if (this.streamMode === 'pipe') {
+                return await this.openPipeSource(url, cookies);
+            }
+
+            // Reuse a previously resolved URL while it is still valid (replays, loop mode)
+            const cachedUrl = this.streamCache?.get(url);
+            if (cachedUrl) {
+                this.prefetched.delete(url);
+                this.debug(`Stream URL cache hit`);
+                return cachedUrl;
+            }
+
+            // Pick up a prefetch of this track, even if it is still running
+            const prefetched = this.prefetched.get(url);
+            if (prefetched) {
+                this.prefetched.delete(url);
+                try {
+                    const prefetchedUrl = await prefetched;
+                    this.debug(`Using prefetched stream URL`);
+                    return prefetchedUrl;
+                } catch (prefetchError) {
+                    this.debug(`Prefetched stream unusable, resolving again: ${prefetchError.message}`);
+                }
+            }
+
+            const streamUrl = await this.resolveStreamUrl(url, this.streamQuality);
+
+            this.streamCache?.set(url, streamUrl);
             this.debug(`Stream URL obtained successfully`);
 
             // Return the stream URL directly - discord-player will handle it
             return streamUrl;
         } catch (error) {
             this.debug(`Stream error: ${error.message}`);
-            throw error;
+            throw toExtractorError(error, { url: info.url || info.raw?.url });
         }
     }
 
+    /**
+     * Pipe a track through yt-dlp from an offset in ms
+     * The offset is only used up once yt-dlp delivers audio, a stream that fails before that starts there again.
+     */
+    pipeStreamAt(track, url, cookies, startTime) {
+        this.debug(`Starting stream at ${startTime}ms`);
+        const stream = this.pipeStream(url, cookies, { startTime });
+        this.startOffsets.set(track, startTime);
+
+        stream.process.stdout.once('data', () => {
+            if (this.startTimes.get(track) === startTime) {
+                this.startTimes.delete(track);
+            }
+        });
+
+        return stream;
+    }
+
+    /**
+     * Start the next stream of a track at an offset in ms, e.g. to resume where it was before a restart
+     * Offsets at or past the end of the track and on live tracks are ignored.
+     * @returns {boolean} Whether the offset was set
+     */
+    setStartTime(track, position) {
+        if (!(position > 0) || track.live || track.raw?.isLive || (track.durationMS > 0 && position >= track.durationMS)) {
+            this.startTimes.delete(track);
+            return false;
+        }
+
+        this.startTimes.set(track, Math.floor(position));
+        return true;
+    }
+
+    /**
+     * Seek the current track of a queue to a position in ms
+     * In pipe mode the track is piped again from the position, so playback does not wait for everything before it
+     * to be decoded; otherwise this is queue.node.seek(), where FFmpeg seeks the media URL with range requests.
+     * @returns {Promise<boolean>} Whether the seek went through
+     */
+    async seek(queue, position) {
+        const track = queue.currentTrack;
+        if (this.streamMode !== 'pipe' || track?.extractor !== this || !this.setStartTime(track, position)) {
+            return queue.node.seek(position);
+        }
+
+        // The replay queue.node.seek() does without a seeker, with the offset applied by stream() instead of FFmpeg
+        const entry = queue.node.tasksQueue.acquire();
+        try {
+            await entry.getTask();
+            await queue.node.play(track, { queue: false, seek: 0, transitionMode: true });
+            return true;
+        } catch (error) {
+            this.debug(`Seek failed: ${error.message}`);
+            this.startTimes.delete(track);
+            return false;
+        } finally {
+            queue.node.tasksQueue.release();
+        }
+    }
+
+    /**
+     * Stream a live track, piped through yt-dlp or as its HLS manifest URL
+     */
+    async liveStream(url, cookies) {
+        if (!this.allowLive) {
+            throw new YtDlpExtractorError('Live streams are not allowed');
+        }
+
+        if (this.liveStreamMode === 'pipe') {
+            return this.pipeStream(url, cookies, { live: true });
+        }
+
+        const manifestUrl = await this.resolveStreamUrl(url, this.liveStreamQuality, { live: true });
+
+        this.debug(`Live stream URL obtained successfully`);
+        return manifestUrl;
+    }
+
+    /**
+     * Throw if the track is live and live streams are not allowed
+     */
+    assertLiveAllowed(trackInfo) {
+        if (trackInfo?.isLive && !this.allowLive) {
+            throw new YtDlpExtractorError('Live streams are not allowed');
+        }
+    }
+
+    /**
+     * Resolve a media URL, working through the configured fallbacks until one attempt succeeds
+     * Transient failures (timeouts, 5xx, rate limits) are retried with backoff before moving on;
+     * failures no fallback can fix (unavailable, private, geo-blocked) end the chain right away.
+     * @param {string} url Track URL
+     * @param {string} quality Format selector of the first attempt
+     * @param {object} options live: the URL is a live stream
+     */
+    async resolveStreamUrl(url, quality, options = {}) {
+        const attempts = this.createStreamAttempts(url, quality, options);
+        const { retries, retryDelay, timeBudget } = this.streamResolution;
+        const deadline = Date.now() + timeBudget;
+        const failures = [];
+        let lastError = null;
+
+        for (const [index, attempt] of attempts.entries()) {
+            const label = `${index + 1}/${attempts.length} (${this.describeStreamAttempt(attempt)})`;
+
+            if (index > 0 && Date.now() >= deadline) {
+                this.debug(`Stream resolution out of time after ${timeBudget}ms, skipping ${attempts.length - index} attempts`);
+                break;
+            }
+
+            // Another format only helps when the format was the problem, not YouTube blocking the request
+            if (attempt.fallbackFormat && FORMAT_INDEPENDENT_REASONS.includes(lastError?.reason)) {
+                this.debug(`Stream attempt ${label} skipped after ${lastError.name}`);
+                continue;
+            }
+
+            for (let retry = 0; ; retry++) {
+                this.debug(`Stream attempt ${label}${retry > 0 ? `, retry ${retry}` : ''}`);
+
+                try {
+                    const streamUrl = await this.runStreamAttempt(url, attempt);
+                    if (!streamUrl || !streamUrl.startsWith('http')) {
+                        throw new YtDlpExtractorError('Invalid streaming URL returned');
+                    }
+
+                    this.debug(`Stream attempt ${label} succeeded`);
+                    this.trackYouTubeiStream(url, !!attempt.source);
+                    return streamUrl;
+                } catch (error) {
+                    lastError = toExtractorError(error, { url });
+                    failures.push(lastError);
+                    this.debug(`Stream attempt ${label} failed: ${lastError.name}: ${lastError.message}`);
+
+                    // yt-dlp gets its own say before the track is given up
+                    if (attempt.source) {
+                        this.reportYouTubeiStreamFailure(lastError);
+                        break;
+                    }
+
+                    if (PERMANENT_ERROR_REASONS.includes(lastError.reason)) {
+                        throw lastError;
+                    }
+
+                    // Once a fallback has taken over, a timeout moves on instead of waiting for it again
+                    const transient = (lastError.reason === 'timeout' && index === 0) || lastError.reason === 'rateLimit'
+                        || (!lastError.reason && TRANSIENT_ERROR.test(lastError.message));
+                    const delay = retryDelay * 2 ** retry;
+                    if (!transient || retry >= retries || Date.now() + delay >= deadline) {
+                        break;
+                    }
+
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                }
+            }
+        }
+
+        // Keep why it failed (bot check, age restriction, ...) if any attempt could tell, a timeout only if nothing else did
+        throw failures.find(error => error.reason && error.reason !== 'timeout') || failures.find(error => error.reason) || lastError;
+    }
+
+    /**
+     * List the attempts resolveStreamUrl works through, in order
+     */
+    createStreamAttempts(url, quality, options = {}) {
+        const { fallbackFormats, playerClients, withoutCookies, youtubei } = this.streamResolution;
+        const attempts = [{ format: quality }];
+
+        for (const format of fallbackFormats) {
+            if (format !== quality) {
+                attempts.push({ format, fallbackFormat: true });
+            }
+        }
+
+        const videoId = isYouTubeUrl(url) ? extractYouTubeId(url) : null;
+
+        // youtubei.js as the stream source goes before yt-dlp, instead of being its last resort
+        const youtubeiFirst = !options.live && this.usesYouTubeiStreams(url);
+        if (youtubeiFirst) {
+            attempts.unshift({ youtubei: true, videoId, source: true });
+        }
+
+        if (videoId) {
+            for (const playerClient of playerClients) {
+                attempts.push({ format: quality, playerClient });
+            }
+        }
+
+        // Cookies can be what gets a request flagged
+        if (withoutCookies && (this.accounts || this.youtubeiOptions?.cookies)) {
+            attempts.push({ format: quality, cookies: false });
+        }
+
+        // youtubei.js deciphers the URL itself, a live stream's manifest is left to yt-dlp
+        if (youtubei && videoId && !options.live && !youtubeiFirst) {
+            attempts.push({ youtubei: true, videoId });
+        }
+
+        return attempts;
+    }
+
+    /**
+     * Run a single stream resolution attempt
+     */
+    runStreamAttempt(url, attempt) {
+        if (attempt.youtubei) {
+            return getYouTubeiStreamUrl(attempt.videoId, this.youtubeiOptions);
+        }
+
+        const resolve = cookies => getStreamingUrl(url, this.runner, attempt.format, cookies, { playerClient: attempt.playerClient });
+        return attempt.cookies === false ? resolve(null) : this.withAccount(resolve);
+    }
+
+    /**
+     * Describe a stream resolution attempt for debug output
+     */
+    describeStreamAttempt(attempt) {
+        if (attempt.youtubei) {
+            return 'youtubei.js';
+        }
+
+        return [
+            `format ${attempt.format}`,
+            attempt.playerClient && `client ${attempt.playerClient}`,
+            attempt.cookies === false && 'without cookies'
+        ].filter(Boolean).join(', ');
+    }
+
+    /**
+     * Schedule resolving the next queued track's stream before the current track ends
+     */
+    schedulePrefetch(queue, track) {
+        this.cancelPrefetch(queue);
+
+        // Piped streams are tied to playback, there is no URL to prepare ahead of time;
+        // a live track has no end to prefetch before
+        if (this.streamMode !== 'url' || track?.live) {
+            return;
+        }
+
+        const leadTime = this.prefetch.secondsBeforeEnd * 1000;
+        const delay = Math.max(0, (track?.durationMS || 0) - leadTime);
+
+        const timer = setTimeout(() => {
+            this.prefetchTimers.delete(queue.id);
+
+            const nextTrack = queue.tracks.at(0);
+            if (nextTrack && nextTrack.extractor === this) {
+                this.prefetchStream(nextTrack);
+            }
+        }, delay);
+
+        // Never keep the process alive just to prefetch
+        timer.unref?.();
+        this.prefetchTimers.set(queue.id, timer);
+    }
+
+    /**
+     * Cancel a scheduled prefetch for the queue
+     */
+    cancelPrefetch(queue) {
+        const timer = this.prefetchTimers.get(queue.id);
+        if (timer) {
+            clearTimeout(timer);
+            this.prefetchTimers.delete(queue.id);
+        }
+    }
+
+    /**
+     * Resolve a track's stream URL in the background, for stream() to pick up later
+     */
+    prefetchStream(track) {
+        const url = track.url || track.raw?.url;
+        if (!url || this.prefetched.has(url) || this.streamCache?.get(url)) {
+            return;
+        }
+
+        // A live stream's manifest URL is short-lived and resolved with its own format, stream() fetches it when it plays
+        if (track.live || track.raw?.isLive) {
+            return;
+        }
+
+        this.debug(`Prefetching stream for: ${track.title}`);
+
+        const promise = this.resolveStreamUrl(url, this.streamQuality).then(streamUrl => {
+            this.streamCache?.set(url, streamUrl);
+            return streamUrl;
+        });
+
+        // Only the most recent prefetches are worth keeping
+        this.prefetched.set(url, promise);
+        if (this.prefetched.size > 50) {
+            this.prefetched.delete(this.prefetched.keys().next().value);
+        }
+
+        promise.then(
+            () => this.debug(`Prefetched stream ready for: ${track.title}`),
+            error => {
+                this.debug(`Prefetch failed for ${track.title}: ${error.message}`);
+                this.prefetched.delete(url);
+            }
+        );
+    }
+
+    /**
+     * Pipe audio through yt-dlp instead of returning a media URL
+     */
+    pipeStream(url, cookies, options = {}) {
+        const quality = options.live ? this.liveStreamQuality : this.streamQuality;
+
+        // A piped stream only fails once it was handed out, so its account just gets told how it went
+        const account = this.accounts?.next() || null;
+        const stream = getAudioStream(url, this.runner, quality, account ? account.cookies : cookies, options);
+        this.activeStreams.add(stream);
+
+        stream.on('error', error => {
+            this.debug(`Piped stream error: ${error.message}`);
+            this.accounts?.reportFailure(account, error);
+        });
+        stream.once('end', () => {
+            this.accounts?.reportSuccess(account);
+        });
+        stream.once('close', () => {
+            this.activeStreams.delete(stream);
+        });
+
+        this.debug(`Piping audio from yt-dlp (pid ${stream.process.pid})`);
+        return stream;
+    }
+
+    /**
+     * Open the audio a piped track reads from: youtubei.js for YouTube videos when it is the stream source,
+     * yt-dlp for other sites and whenever youtubei.js fails
+     */
+    async openPipeSource(url, cookies) {
+        if (this.usesYouTubeiStreams(url)) {
+            try {
+                const stream = await getYouTubeiAudioStream(extractYouTubeId(url), this.youtubeiOptions);
+                this.activeStreams.add(stream);
+                stream.once('close', () => {
+                    this.activeStreams.delete(stream);
+                });
+
+                this.debug(`Streaming audio from youtubei.js`);
+                this.trackYouTubeiStream(url, true);
+                return stream;
+            } catch (error) {
+                this.reportYouTubeiStreamFailure(error);
+            }
+        }
+
+        this.trackYouTubeiStream(url, false);
+        return this.pipeStream(url, cookies);
+    }
+
+    /**
+     * Remember whether a track's stream came from youtubei.js, for playerError to report it
+     */
+    trackYouTubeiStream(url, fromYouTubei) {
+        this.youtubeiStreams.delete(url);
+        if (!fromYouTubei) {
+            return;
+        }
+
+        // Only the most recent streams can still fail
+        this.youtubeiStreams.add(url);
+        if (this.youtubeiStreams.size > 50) {
+            this.youtubeiStreams.delete(this.youtubeiStreams.values().next().value);
+        }
+    }
+
+    /**
+     * Check if YouTube audio for the URL is taken from youtubei.js before trying yt-dlp
+     */
+    usesYouTubeiStreams(url) {
+        if (this.youtubeStreamSource === 'ytdlp' || !isYouTubeUrl(url) || !extractYouTubeId(url)) {
+            return false;
+        }
+
+        return this.youtubeStreamSource === 'youtubei' || Date.now() >= this.youtubeiStreamsPausedUntil;
+    }
+
+    /**
+     * Note that youtubei.js could not provide a stream, yt-dlp takes over
+     * In 'auto' mode youtubei.js is left alone for a while, unless the video itself was the problem.
+     */
+    reportYouTubeiStreamFailure(error) {
+        this.debug(`youtubei.js stream failed, falling back to yt-dlp: ${error.message}`);
+
+        if (this.youtubeStreamSource === 'auto' && !PERMANENT_ERROR_REASONS.includes(error?.reason)) {
+            this.youtubeiStreamsPausedUntil = Date.now() + YOUTUBEI_STREAM_PAUSE;
+            this.debug(`Using yt-dlp for YouTube streams for the next ${YOUTUBEI_STREAM_PAUSE / 60000} minutes`);
+        }
+    }
+
+    /**
+     * Run a yt-dlp call with cookies, moving on to the next configured account while YouTube
+     * answers with a bot check, rate limit or age restriction
+     * @param {Function} task Called with the cookies to use, its result is returned
+     */
+    async withAccount(task) {
+        if (!this.accounts) {
+            return task(this.youtubeiOptions?.cookies || null);
+        }
+
+        const tried = new Set();
+        let lastError = null;
+        let account;
+        while ((account = this.accounts.next(tried))) {
+            tried.add(account);
+            try {
+                const result = await task(account.cookies);
+                this.accounts.reportSuccess(account);
+                return result;
+            } catch (error) {
+                this.accounts.reportFailure(account, error);
+                if (!CookieAccountPool.shouldRotate(error)) {
+                    throw error;
+                }
+
+                lastError = error;
+                this.debug(`Account ${account.name} failed (${error.reason}), trying the next one`);
+            }
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * Health stats of the configured cookie accounts, empty without accounts
+     */
+    getAccountStats() {
+        return this.accounts ? this.accounts.getStats() : [];
+    }
+
     /**
      * Get related tracks for autoplay functionality
      */
     async getRelatedTracks(track, history) {
         try {
             this.debug(`Getting related tracks for: ${track.title}`);
+            this.loadCookiesFile();
 
-            // Only work with YouTube tracks for now
-            if (!isYouTubeUrl(track.url)) {
-                this.debug('Non-YouTube track, no related tracks available');
-                return this.createResponse(null, []);
-            }
+            let relatedTracks = [];
+            let videoId = null;
 
-            const videoId = extractYouTubeId(track.url);
-            if (!videoId) {
-                this.debug('Could not extract video ID');
-                return this.createResponse(null, []);
+            if (isYouTubeUrl(track.url)) {
+                videoId = extractYouTubeId(track.url);
+                if (!videoId) {
+                    this.debug('Could not extract video ID');
+                    return this.createResponse(null, []);
+                }
+            } else {
+                if (this.autoplaySource === 'native') {
+                    relatedTracks = await this.getNativeRelatedTracks(track);
+                }
+
+                // Continue from the same song on YouTube, as long as the match is as close as a bridged track must be
+                if (relatedTracks.length === 0) {
+                    const match = await this.findYouTubeMatch(track).catch(error => {
+                        this.debug(`YouTube seed search failed: ${error.message}`);
+                        return null;
+                    });
+
+                    if (match && match.matchScore >= this.bridgeMinScore) {
+                        videoId = extractYouTubeId(match.url);
+                        this.debug(`Using YouTube seed for autoplay: ${match.title}`);
+                    } else {
+                        this.debug('No close enough YouTube seed found for autoplay');
+
+                        // A weak match would seed autoplay with unrelated videos, the track's own site is closer
+                        if (this.autoplaySource !== 'native') {
+                            relatedTracks = await this.getNativeRelatedTracks(track);
+                        }
+                    }
+                }
             }
 
-            // Get related tracks using YouTube's recommendation system
-            let relatedTracks = await getRelatedTracks(videoId, this.youtubeiOptions, 10);
+            // Get related tracks using YouTube's recommendation system, a wide pool leaves room for the strategy to choose
+            if (videoId) {
+                relatedTracks = await getRelatedTracks(videoId, this.youtubeiOptions, 20);
+            }
 
             // If no related tracks found, try search-based approach
             if (!relatedTracks || relatedTracks.length === 0) {
@@ -416,38 +1467,31 @@ class YtDlpExtractor extends BaseExtractor {
                 // Use track author for search
                 if (track.author && track.author !== 'Unknown Artist') {
                     const searchQuery = `${track.author} music`;
-                    relatedTracks = await searchYouTube(searchQuery, 5, this.youtubeiOptions);
+                    relatedTracks = await searchYouTube(searchQuery, 10, this.youtubeiOptions);
                 }
             }
 
-            // Filter out tracks that are already in history
-            const historyUrls = new Set(
-                history.tracks.toArray().map(t => t.url)
-            );
-
-            const filteredTracks = relatedTracks.filter(trackData =>
-                !historyUrls.has(trackData.url) && trackData.url !== track.url
+            // Leave out repeats, recently played artists and unwanted content
+            const selectedTracks = this.autoplay.select(
+                history?.queue?.id,
+                track,
+                relatedTracks || [],
+                history?.tracks?.toArray() || []
             );
 
-            if (filteredTracks.length === 0) {
+            if (selectedTracks.length === 0) {
                 this.debug('No new related tracks found after filtering');
                 return this.createResponse(null, []);
             }
 
             // Create Track objects
-            const tracks = filteredTracks.slice(0, 5).map(trackData => {
+            const tracks = selectedTracks.map(trackData => {
                 const relatedTrack = new Track(this, {
-                    title: trackData.title,
-                    author: trackData.author,
-                    duration: trackData.duration,
-                    url: trackData.url,
-                    thumbnail: trackData.thumbnail,
-                    source: 'ytdlp-extractor',
-                    raw: {
+                    ...createTrackObject({
                         ...trackData,
                         relatedTo: track.url,
                         autoplay: true
-                    },
+                    }, 'ytdlp-extractor'),
                     requestedBy: track.requestedBy,
                     queryType: 'autoplay'
                 });
@@ -462,30 +1506,94 @@ class YtDlpExtractor extends BaseExtractor {
         }
     }
 
+    /**
+     * Get related tracks from a non-YouTube track's own site, empty if yt-dlp finds none or fails
+     */
+    async getNativeRelatedTracks(track) {
+        try {
+            const relatedTracks = await getNativeRelatedTracks(track.url, track.raw?.authorUrl || null, this.runner, 20);
+            this.debug(`Found ${relatedTracks.length} related tracks on the track's own site`);
+            return relatedTracks;
+        } catch (error) {
+            this.debug(`Related tracks from the track's own site failed: ${error.name}: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Find the YouTube video of a track from another site, searching for its author and title
+     * Candidates are ranked by title/artist similarity and duration closeness to the track.
+     * @param {Track} track Track to match
+     * @param {string} source 'youtube' or 'youtubeMusic'
+     * @returns {Promise<object|null>} Best candidate, with its matchScore and the bridgeQuery used
+     */
+    async findYouTubeMatch(track, source = 'youtube') {
+        const query = this.createBridgeQuery(track);
+        const search = source === 'youtubeMusic' ? searchYouTubeMusic : searchYouTube;
+        const results = await this.withCache('search', `match:${source}:${normalizeQuery(query)}`, () => search(query, 5, this.youtubeiOptions));
+        if (!results || results.length === 0) {
+            return null;
+        }
+
+        const [best] = rankMatches(track, results);
+        this.debug(`Best match for "${query}": ${best.title} by ${best.author} (score ${best.matchScore.toFixed(2)})`);
+        return { ...best, bridgeQuery: query };
+    }
+
     /**
      * Bridge functionality for other extractors
+     * Tracks from DRM-only services are played from their best YouTube match, others are streamed
+     * with yt-dlp directly and fall back to a YouTube match.
      */
     async bridge(track, sourceExtractor) {
+        if (sourceExtractor?.identifier === this.identifier) {
+            return null;
+        }
+
         try {
-            // If the source extractor is not this one, try to get stream
-            if (sourceExtractor?.identifier !== this.identifier) {
-                const streamUrl = await this.stream(track);
-                return { stream: streamUrl, type: 'arbitrary' };
+            if (track.url && !DRM_HOSTS.test(track.url) && isValidUrl(track.url)) {
+                try {
+                    return await this.stream(track);
+                } catch (directError) {
+                    this.debug(`Direct bridge failed, searching instead: ${directError.message}`);
+                }
             }
 
-            return null;
+            const match = await this.findYouTubeMatch(track, this.bridgeSource);
+            if (!match || match.matchScore < this.bridgeMinScore) {
+                this.debug(`No close enough match to bridge: ${track.title}`);
+                return null;
+            }
+
+            // Expose the chosen candidate on the track, discord-player also reads its duration;
+            // it is what gets streamed, with `live` set like on any track of ours
+            track.bridgedTrack = new Track(this, {
+                ...createTrackObject(match, 'ytdlp-extractor'),
+                requestedBy: track.requestedBy,
+                queryType: 'arbitrary'
+            });
+
+            return await this.stream(track.bridgedTrack);
         } catch (error) {
             this.debug(`Bridge error: ${error.message}`);
             return null;
         }
     }
-
-    /**
-     * Create bridge query for track search
-     */
-    createBridgeQuery(track) {
-        return `${track.author} - ${track.title}`;
-    }
 }
 
-module.exports = { YtDlpExtractor };
+module.exports = {
+    YtDlpExtractor,
+    MemoryCache,
+    StreamUrlCache,
+    AutoplayStrategy,
+    YtDlpExtractorError,
+    VideoUnavailableError,
+    PrivateVideoError,
+    GeoBlockedError,
+    AgeRestrictedError,
+    RateLimitedError,
+    BotCheckError,
+    BinaryMissingError,
+    TimeoutError,
+    UnsupportedUrlError
+};
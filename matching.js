@@ -0,0 +1,131 @@
+/**
+ * YtDlp Track Matching
+ * Fuzzy comparison of titles and artists, used to recognize the same song across uploads
+ * and sites (autoplay repeat detection, bridging tracks from other extractors to YouTube)
+ */
+
+// Title decorations that make uploads of the same song look different
+const TITLE_NOISE = /[([](?:[^)\]]*?(?:official|lyrics?|lyric video|audio|video|visuali[sz]er|hd|hq|4k|mv|m\/v|remaster(?:ed)?|explicit|clean)[^)\]]*)[)\]]/gi;
+const TITLE_WORDS = /\b(?:official (?:music )?(?:video|audio)|lyrics?|lyric video|music video|audio|visuali[sz]er|hd|hq|4k|mv)\b/gi;
+
+/**
+ * Reduce a title to the words that identify the song
+ */
+const normalizeTitle = (title) => {
+    return String(title || '')
+        .toLowerCase()
+        .replace(TITLE_NOISE, ' ')
+        .replace(TITLE_WORDS, ' ')
+        .replace(/\b(?:ft|feat|featuring)\.?\s.*$/, ' ')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+};
+
+/**
+ * Reduce an uploader name to the artist (drops " - Topic", "VEVO", "Official")
+ */
+const normalizeArtist = (author) => {
+    return String(author || '')
+        .toLowerCase()
+        .replace(/\s*-\s*topic$/, '')
+        .replace(/vevo$/, '')
+        .replace(/\bofficial\b/g, '')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+};
+
+/**
+ * Similarity of two titles between 0 and 1, from the overlap of their normalized words
+ */
+const titleSimilarity = (a, b) => {
+    const wordsA = new Set(normalizeTitle(a).split(' ').filter(Boolean));
+    const wordsB = new Set(normalizeTitle(b).split(' ').filter(Boolean));
+    if (wordsA.size === 0 || wordsB.size === 0) {
+        return 0;
+    }
+
+    let shared = 0;
+    for (const word of wordsA) {
+        if (wordsB.has(word)) shared++;
+    }
+    return shared / (wordsA.size + wordsB.size - shared);
+};
+
+// Versions of a song that are only wanted when the source track is one too
+const VARIANT_WORDS = /\b(?:cover|live|remix|karaoke|instrumental|acoustic|sped up|slowed|nightcore|8d|reverb)\b/i;
+
+/**
+ * Split a credited author ("A, B & C feat. D") into normalized artist names
+ */
+const splitArtists = (author) => {
+    return String(author || '')
+        .split(/\s*(?:,|&|\bx\b|\band\b|\bfeat\.?|\bft\.?|\bfeaturing\b)\s*/i)
+        .map(normalizeArtist)
+        .filter(Boolean);
+};
+
+/**
+ * Score how likely a candidate is the same recording as a track from another site, between 0 and 1
+ * Weighs title similarity, artist match and duration closeness; variants (live, remix, ...) the
+ * source is not are penalized, as are live streams.
+ * @param {object} source Track being matched (title, author, durationMS)
+ * @param {object} candidate Search result (title, author, durationMS, isLive)
+ */
+const scoreMatch = (source, candidate) => {
+    // Uploads often put the artist in the title ("Artist - Song"), compare both ways
+    const titleScore = Math.max(
+        titleSimilarity(source.title, candidate.title),
+        titleSimilarity(`${source.author || ''} ${source.title}`, candidate.title)
+    );
+
+    const sourceArtists = splitArtists(source.author);
+    const candidateArtists = splitArtists(candidate.author);
+    const candidateTitle = normalizeTitle(candidate.title);
+    let artistScore = 0;
+    if (sourceArtists.some(artist => candidateArtists.includes(artist))) {
+        artistScore = 1;
+    } else if (sourceArtists.some(artist => candidateTitle.includes(artist))) {
+        artistScore = 0.75;
+    }
+
+    const sourceSeconds = (source.durationMS || 0) / 1000;
+    const candidateSeconds = (candidate.durationMS || 0) / 1000;
+    let durationScore = 0.5;
+    if (sourceSeconds > 0 && candidateSeconds > 0) {
+        // Within a few seconds is the same cut, half a minute off is probably not
+        const difference = Math.abs(sourceSeconds - candidateSeconds);
+        durationScore = Math.max(0, 1 - Math.max(0, difference - 3) / 27);
+    }
+
+    let score = titleScore * 0.5 + artistScore * 0.25 + durationScore * 0.25;
+
+    const variant = String(candidate.title || '').match(VARIANT_WORDS)?.[0];
+    if (variant && !new RegExp(`\\b${variant}\\b`, 'i').test(source.title || '')) {
+        score -= 0.2;
+    }
+    if (candidate.isLive) {
+        score -= 0.5;
+    }
+
+    return Math.max(0, Math.min(1, score));
+};
+
+/**
+ * Rank candidates for a track by scoreMatch, best first, keeping the original order on ties
+ * @returns {object[]} Candidates with a `matchScore` added
+ */
+const rankMatches = (source, candidates) => {
+    return candidates
+        .map((candidate, index) => ({ candidate: { ...candidate, matchScore: scoreMatch(source, candidate) }, index }))
+        .sort((a, b) => b.candidate.matchScore - a.candidate.matchScore || a.index - b.index)
+        .map(entry => entry.candidate);
+};
+
+module.exports = {
+    normalizeTitle,
+    normalizeArtist,
+    titleSimilarity,
+    splitArtists,
+    scoreMatch,
+    rankMatches
+};
@@ -0,0 +1,258 @@
+/**
+ * YtDlp Runner
+ * Spawns the yt-dlp binary with an argv array (never through a shell), so
+ * user-supplied URLs cannot be interpreted as shell syntax
+ */
+
+const { spawn } = require('child_process');
+const { PassThrough } = require('stream');
+const fs = require('fs');
+const { YtDlpExtractorError, BinaryMissingError, TimeoutError, classifyError } = require('./errors');
+
+const DEFAULT_TIMEOUT = 30000;
+const DEFAULT_MAX_BUFFER = 2 * 1024 * 1024;
+const STDERR_LIMIT = 8192;
+
+class YtDlpRunner {
+    /**
+     * @param {string} binaryPath Path to the yt-dlp binary
+     * @param {object} options Default timeout (ms), maxBuffer (bytes) and killSignal for every run
+     */
+    constructor(binaryPath, options = {}) {
+        this.binaryPath = binaryPath;
+        this.timeout = options.timeout ?? DEFAULT_TIMEOUT;
+        this.maxBuffer = options.maxBuffer ?? DEFAULT_MAX_BUFFER;
+        this.killSignal = options.killSignal || 'SIGKILL';
+    }
+
+    /**
+     * Accept either a runner or a binary path, so helpers can be called with both
+     */
+    static from(ytdlp) {
+        return ytdlp instanceof YtDlpRunner ? ytdlp : new YtDlpRunner(ytdlp);
+    }
+
+    /**
+     * Pick the most useful line out of yt-dlp stderr
+     */
+    static parseStderr(stderr) {
+        const lines = (stderr || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+        const errorLine = [...lines].reverse().find(line => line.startsWith('ERROR:'));
+        if (errorLine) {
+            return errorLine.replace(/^ERROR:\s*/, '');
+        }
+        return lines.pop() || null;
+    }
+
+    /**
+     * Classify yt-dlp stderr as 'botCheck', 'rateLimit', 'ageRestricted', 'private', 'geoBlocked', 'unsupported',
+     * 'unavailable' or 'timeout', null if it is none of them
+     */
+    static classifyStderr(stderr) {
+        return classifyError(stderr)?.reason || null;
+    }
+
+    /**
+     * Check if the yt-dlp binary exists
+     */
+    exists() {
+        return typeof this.binaryPath === 'string' && fs.existsSync(this.binaryPath);
+    }
+
+    /**
+     * Throw if the yt-dlp binary does not exist
+     */
+    assertBinary() {
+        if (!this.exists()) {
+            throw new BinaryMissingError(`yt-dlp binary not found at: ${this.binaryPath}`, { code: 'ENOENT', binaryPath: this.binaryPath });
+        }
+    }
+
+    /**
+     * Build the typed error for a failed run from its stderr, keeping exit code and stderr for callers
+     */
+    createError(message, details = {}) {
+        const stderr = details.stderr || '';
+        const ErrorClass = details.timedOut ? TimeoutError : (classifyError(stderr) || YtDlpExtractorError);
+
+        return new ErrorClass(message, {
+            exitCode: details.exitCode ?? null,
+            signal: details.signal ?? null,
+            stderr: stderr,
+            timedOut: !!details.timedOut
+        });
+    }
+
+    /**
+     * Run yt-dlp to completion and collect its output
+     * @param {string[]} args Arguments passed to yt-dlp, one entry per argument
+     * @param {object} options Per-call timeout, maxBuffer and killSignal overrides
+     */
+    run(args, options = {}) {
+        const timeout = options.timeout ?? this.timeout;
+        const maxBuffer = options.maxBuffer ?? this.maxBuffer;
+        const killSignal = options.killSignal || this.killSignal;
+
+        return new Promise((resolve, reject) => {
+            try {
+                this.assertBinary();
+            } catch (error) {
+                reject(error);
+                return;
+            }
+
+            const child = spawn(this.binaryPath, args, {
+                stdio: ['ignore', 'pipe', 'pipe'],
+                windowsHide: true
+            });
+
+            let stdout = '';
+            let stderr = '';
+            let failure = null;
+            let settled = false;
+
+            const abort = (error) => {
+                if (!failure) {
+                    failure = error;
+                    child.kill(killSignal);
+                }
+            };
+
+            const timer = timeout > 0
+                ? setTimeout(() => abort(this.createError(`yt-dlp timed out after ${timeout}ms`, { timedOut: true, stderr })), timeout)
+                : null;
+
+            child.stdout.setEncoding('utf8');
+            child.stdout.on('data', chunk => {
+                stdout += chunk;
+                if (stdout.length > maxBuffer) {
+                    abort(this.createError(`yt-dlp output exceeded maxBuffer of ${maxBuffer} bytes`, { stderr }));
+                }
+            });
+
+            child.stderr.setEncoding('utf8');
+            child.stderr.on('data', chunk => {
+                stderr = (stderr + chunk).slice(-STDERR_LIMIT);
+            });
+
+            const finish = (error, result) => {
+                if (settled) return;
+                settled = true;
+                if (timer) clearTimeout(timer);
+                if (error) reject(error);
+                else resolve(result);
+            };
+
+            child.on('error', error => finish(error));
+
+            child.on('close', (code, signal) => {
+                if (failure) {
+                    failure.stderr = stderr;
+                    finish(failure);
+                    return;
+                }
+
+                if (code !== 0) {
+                    const message = YtDlpRunner.parseStderr(stderr) || `exited with ${signal || `code ${code}`}`;
+                    finish(this.createError(`yt-dlp error: ${message}`, { exitCode: code, signal, stderr }));
+                    return;
+                }
+
+                finish(null, { stdout, stderr });
+            });
+        });
+    }
+
+    /**
+     * Run yt-dlp and parse its stdout as JSON (for -J / --dump-json)
+     */
+    async json(args, options = {}) {
+        const { stdout } = await this.run(args, options);
+
+        if (!stdout || stdout.trim() === '') {
+            throw new Error('yt-dlp returned empty response');
+        }
+
+        try {
+            return JSON.parse(stdout);
+        } catch (parseError) {
+            throw new Error(`Failed to parse yt-dlp JSON response: ${parseError.message}`);
+        }
+    }
+
+    /**
+     * Spawn yt-dlp and expose its stdout as a Readable
+     * Destroying the returned stream kills the process; a non-zero exit is
+     * surfaced as an error on the stream, with the captured stderr attached.
+     * @param {string[]} args Arguments passed to yt-dlp, one entry per argument
+     * @param {object} options onExit is called once the process is gone
+     */
+    stream(args, options = {}) {
+        this.assertBinary();
+
+        const child = spawn(this.binaryPath, args, {
+            stdio: ['ignore', 'pipe', 'pipe'],
+            windowsHide: true
+        });
+
+        const output = new PassThrough();
+        output.process = child;
+
+        // Keep only the tail of stderr, which is where yt-dlp reports the failure
+        let stderr = '';
+        child.stderr.setEncoding('utf8');
+        child.stderr.on('data', chunk => {
+            stderr = (stderr + chunk).slice(-STDERR_LIMIT);
+        });
+
+        // Ending the output is left to the exit handler, so a failed run errors instead of ending cleanly
+        child.stdout.pipe(output, { end: false });
+
+        let killed = false;
+        let exited = false;
+        const onExit = () => {
+            if (exited) return;
+            exited = true;
+            if (typeof options.onExit === 'function') {
+                options.onExit();
+            }
+        };
+
+        child.on('error', error => {
+            onExit();
+            output.destroy(error);
+        });
+
+        child.on('close', (code, signal) => {
+            onExit();
+
+            // Killed because the consumer went away (skip, stop, queue destroyed)
+            if (killed || output.destroyed) {
+                return;
+            }
+
+            if (code !== 0) {
+                const message = YtDlpRunner.parseStderr(stderr) || `exited with ${signal || `code ${code}`}`;
+                output.destroy(this.createError(`yt-dlp stream error: ${message}`, { exitCode: code, signal, stderr }));
+                return;
+            }
+
+            output.end();
+        });
+
+        // discord-player destroys the stream on skip/stop, stop yt-dlp with it
+        output.on('close', () => {
+            if (child.exitCode === null && child.signalCode === null) {
+                killed = true;
+                child.kill('SIGTERM');
+                // Release the pipes even if a grandchild (e.g. ffmpeg for HLS) still holds them
+                child.stdout.destroy();
+                child.stderr.destroy();
+            }
+        });
+
+        return output;
+    }
+}
+
+module.exports = { YtDlpRunner };
@@ -0,0 +1,180 @@
+/**
+ * YtDlp Extractor YouTube Sessions
+ * Each extractor owns its youtubei.js client, so extractors with different cookies or clients
+ * (several bots or shards in one process) no longer recreate a single global client on every call.
+ * Extractors registered with the same options can share a client through the session pool instead.
+ */
+
+const { Innertube } = require('youtubei.js');
+const { parseCookies, toCookieHeader } = require('./cookies');
+
+/**
+ * Build youtubei.js options from the extractor's youtubeiOptions (cookies, client)
+ */
+const createInnertubeOptions = (options = {}) => {
+    const initOptions = {};
+
+    // youtubei.js only takes cookies as a Cookie header
+    if (options.cookies) {
+        const cookieHeader = toCookieHeader(parseCookies(options.cookies), 'youtube.com');
+        if (cookieHeader) {
+            initOptions.cookie = cookieHeader;
+        }
+    }
+
+    if (options.client) {
+        initOptions.client_name = options.client;
+    }
+
+    // Add additional options for better private content access
+    initOptions.enable_session_cache = true;
+
+    return initOptions;
+};
+
+/**
+ * Key under which sessions with the same options are the same
+ */
+const getSessionKey = (options = {}) => JSON.stringify(createInnertubeOptions(options));
+
+class YouTubeSession {
+    constructor() {
+        this.key = null;
+        this.client = null; // Promise<Innertube | null>
+    }
+
+    /**
+     * Get the youtubei.js client, created on first use and recreated only when the options changed
+     * Resolves to null if it cannot be created, so callers can fall back to yt-dlp
+     */
+    async get(options = {}) {
+        const key = getSessionKey(options);
+        if (this.client && this.key === key) {
+            return this.client;
+        }
+
+        const previous = this.client;
+        this.key = key;
+        this.client = (async () => {
+            await YouTubeSession.signOut(previous);
+
+            try {
+                return await Innertube.create(createInnertubeOptions(options));
+            } catch (error) {
+                console.error('❌ Failed to initialize YouTube service for extractor:', error);
+                return null;
+            }
+        })();
+
+        // Retry on the next call instead of caching the failure
+        const client = this.client;
+        const innertube = await client;
+        if (!innertube && this.client === client) {
+            this.client = null;
+            this.key = null;
+        }
+
+        return innertube;
+    }
+
+    /**
+     * Drop the client, the next get() creates a new one
+     */
+    async close() {
+        const previous = this.client;
+        this.client = null;
+        this.key = null;
+        await YouTubeSession.signOut(previous);
+    }
+
+    /**
+     * Sign a client out, ignoring clients that failed to start or were never signed in
+     */
+    static async signOut(client) {
+        try {
+            const innertube = await client;
+            await innertube?.session.signOut();
+        } catch (e) {
+            // Ignore sign out errors
+        }
+    }
+}
+
+class SessionPool {
+    constructor() {
+        this.entries = new Map(); // session key -> { session, users }
+    }
+
+    /**
+     * Borrow the pooled session for the options
+     */
+    acquire(options = {}) {
+        const key = getSessionKey(options);
+        let entry = this.entries.get(key);
+        if (!entry) {
+            entry = { session: new YouTubeSession(), users: 0 };
+            this.entries.set(key, entry);
+        }
+
+        entry.users++;
+        return { key, session: entry.session };
+    }
+
+    /**
+     * Return a borrowed session, closing it once nobody uses it
+     */
+    async release(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return;
+        }
+
+        entry.users--;
+        if (entry.users <= 0) {
+            this.entries.delete(key);
+            await entry.session.close();
+        }
+    }
+}
+
+const sharedSessions = new SessionPool();
+
+/**
+ * Session borrowed from a pool, moving to another pooled session when the extractor's options change
+ */
+class SharedYouTubeSession {
+    constructor(pool = sharedSessions) {
+        this.pool = pool;
+        this.borrowed = null; // { key, session }
+    }
+
+    async get(options = {}) {
+        const key = getSessionKey(options);
+        if (this.borrowed?.key !== key) {
+            const previous = this.borrowed;
+            this.borrowed = this.pool.acquire(options);
+            if (previous) {
+                await this.pool.release(previous.key);
+            }
+        }
+
+        return this.borrowed.session.get(options);
+    }
+
+    async close() {
+        const previous = this.borrowed;
+        this.borrowed = null;
+        if (previous) {
+            await this.pool.release(previous.key);
+        }
+    }
+}
+
+module.exports = {
+    YouTubeSession,
+    SharedYouTubeSession,
+    SessionPool,
+    sharedSessions,
+    createInnertubeOptions,
+    getSessionKey
+};
@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CookieAccountPool } = require('../accounts');
+const { BotCheckError, RateLimitedError, PrivateVideoError, YtDlpExtractorError } = require('../errors');
+const { useClock } = require('./helpers');
+
+test('accounts are named, and ones without cookies are anonymous', () => {
+    const pool = new CookieAccountPool([{ name: 'main', cookies: 'SID=1' }, { cookies: '' }]);
+
+    assert.equal(pool.size, 2);
+    assert.equal(pool.accounts[0].name, 'main');
+    assert.deepEqual(pool.accounts[0].cookies.map(cookie => cookie.name), ['SID']);
+    assert.equal(pool.accounts[1].name, 'account-2');
+    assert.equal(pool.accounts[1].cookies, null);
+});
+
+test('next takes turns, least recently used first, and skips excluded accounts', (t) => {
+    const clock = useClock(t, 1000);
+    const pool = new CookieAccountPool([{ name: 'a', cookies: 'SID=1' }, { name: 'b', cookies: 'SID=2' }]);
+    const [a, b] = pool.accounts;
+
+    assert.equal(pool.next(), a);
+    clock.tick(1);
+    assert.equal(pool.next(), b);
+    clock.tick(1);
+    assert.equal(pool.next(), a);
+    clock.tick(1);
+    assert.equal(pool.next(new Set([b])), a);
+    assert.equal(pool.next(new Set([a, b])), null);
+    assert.equal(a.stats.uses, 3);
+});
+
+test('a blocked account cools down and comes back afterwards', (t) => {
+    const clock = useClock(t, 1000);
+    const pool = new CookieAccountPool([{ name: 'a', cookies: 'SID=1' }, { name: 'b', cookies: 'SID=2' }]);
+    const [a, b] = pool.accounts;
+
+    pool.reportFailure(pool.next(), new BotCheckError('Sign in to confirm you’re not a bot'));
+    clock.tick(1);
+    assert.equal(pool.next(), b);
+    clock.tick(1);
+    assert.equal(pool.next(), b);
+
+    clock.tick(30 * 60 * 1000);
+    assert.equal(pool.next(), a);
+});
+
+test('when every account cools down the one recovering first is used', (t) => {
+    useClock(t, 1000);
+    const pool = new CookieAccountPool([{ name: 'a', cookies: 'SID=1' }, { name: 'b', cookies: 'SID=2' }]);
+    const [a, b] = pool.accounts;
+
+    pool.reportFailure(a, new BotCheckError('bot'));
+    pool.reportFailure(b, new RateLimitedError('HTTP Error 429'));
+
+    assert.equal(pool.next(), b);
+});
+
+test('cooldowns can be changed per reason', (t) => {
+    useClock(t, 1000);
+    const pool = new CookieAccountPool([{ name: 'a', cookies: 'SID=1' }], { cooldowns: { rateLimit: 0 } });
+
+    pool.reportFailure(pool.accounts[0], new RateLimitedError('HTTP Error 429'));
+    assert.equal(pool.accounts[0].cooldownUntil, 0);
+    assert.equal(pool.cooldowns.botCheck, 30 * 60 * 1000);
+});
+
+test('failures and successes are counted, and a success ends a cooldown', (t) => {
+    const clock = useClock(t, 1000);
+    const pool = new CookieAccountPool([{ name: 'a', cookies: 'SID=1' }]);
+    const [account] = pool.accounts;
+
+    pool.reportFailure(account, new RateLimitedError('HTTP Error 429'));
+    pool.reportFailure(account, new PrivateVideoError('Private video'));
+    pool.reportFailure(account, new Error('something else'));
+
+    let [stats] = pool.getStats();
+    assert.equal(stats.name, 'a');
+    assert.equal(stats.available, false);
+    assert.equal(stats.cooldownUntil, 1000 + 10 * 60 * 1000);
+    assert.equal(stats.failures, 3);
+    assert.equal(stats.rateLimit, 1);
+    assert.equal(stats.unavailable, 1);
+    assert.equal(stats.lastError, 'something else');
+    assert.equal(stats.lastFailureAt, 1000);
+
+    clock.tick(1);
+    pool.reportSuccess(account);
+    [stats] = pool.getStats();
+    assert.equal(stats.available, true);
+    assert.equal(stats.cooldownUntil, null);
+    assert.equal(stats.successes, 1);
+});
+
+test('shouldRotate is true only for failures another account may not have', () => {
+    assert.equal(CookieAccountPool.shouldRotate(new BotCheckError('bot')), true);
+    assert.equal(CookieAccountPool.shouldRotate(new RateLimitedError('429')), true);
+    assert.equal(CookieAccountPool.shouldRotate(new PrivateVideoError('private')), false);
+    assert.equal(CookieAccountPool.shouldRotate(new YtDlpExtractorError('other')), false);
+    assert.equal(CookieAccountPool.shouldRotate(null), false);
+});
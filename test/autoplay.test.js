@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { AutoplayStrategy } = require('../autoplay');
+
+const song = (url, title, author, seconds = 200) => ({ url, title, author, durationMS: seconds * 1000 });
+
+test('select leaves out played tracks, repeats and unwanted durations', () => {
+    const strategy = new AutoplayStrategy();
+    const seed = song('seed', 'Hello World', 'Artist A');
+    const picked = strategy.select('queue', seed, [
+        song('seed', 'Hello World', 'Artist A'),
+        song('repeat', 'Hello World (Official Video)', 'Artist B'),
+        song('short', 'Intro', 'Artist C', 30),
+        song('long', 'Hour Mix', 'Artist D', 3600),
+        { ...song('live', 'Radio', 'Artist E'), isLive: true },
+        song('history', 'Played Before', 'Artist F'),
+        song('next', 'Another Song', 'Artist G')
+    ], [song('history', 'Played Before', 'Artist F')]);
+
+    assert.deepEqual(picked.map(track => track.url), ['next']);
+});
+
+test('select favors other artists and limits how often one artist comes back', () => {
+    const strategy = new AutoplayStrategy({ maxSameArtist: 1 });
+    strategy.remember('queue', song('earlier', 'Earlier Song', 'Artist A'));
+
+    const picked = strategy.select('queue', song('seed', 'Seed Song', 'Artist B'), [
+        song('same-artist', 'Second Song', 'Artist B'),
+        song('limited', 'Third Song', 'Artist A'),
+        song('other', 'Fourth Song', 'Artist C')
+    ]);
+
+    assert.deepEqual(picked.map(track => track.url), ['other']);
+});
+
+test('select falls back to a repeated artist but never to a repeated song', () => {
+    const strategy = new AutoplayStrategy({ maxSameArtist: 1 });
+    const seed = song('seed', 'Hello World', 'Artist A');
+
+    assert.deepEqual(strategy.select('queue', seed, [song('repeat', 'Hello World (Lyrics)', 'Artist B')]), []);
+
+    const picked = strategy.select('queue', seed, [
+        song('repeat', 'Hello World (Lyrics)', 'Artist B'),
+        song('same-artist', 'Goodbye World', 'Artist A')
+    ]);
+    assert.deepEqual(picked.map(track => track.url), ['same-artist']);
+});
+
+test('select remembers the track it picked first', () => {
+    const strategy = new AutoplayStrategy();
+    const seed = song('seed', 'Seed Song', 'Artist A');
+    strategy.select('queue', seed, [song('first', 'First Song', 'Artist B'), song('second', 'Second Song', 'Artist C')]);
+
+    assert.deepEqual(strategy.memory.get('queue').map(entry => entry.url), ['seed', 'first']);
+
+    const picked = strategy.select('queue', seed, [song('first', 'First Song', 'Artist B'), song('second', 'Second Song', 'Artist C')]);
+    assert.deepEqual(picked.map(track => track.url), ['second']);
+});
+
+test('memory is kept per queue, bounded and forgotten', () => {
+    const strategy = new AutoplayStrategy({ memorySize: 2 });
+    for (const url of ['a', 'b', 'c']) {
+        strategy.remember('queue', song(url, `Song ${url}`, 'Artist'));
+    }
+    strategy.remember('other', song('d', 'Song d', 'Artist'));
+
+    assert.deepEqual(strategy.memory.get('queue').map(entry => entry.url), ['b', 'c']);
+
+    strategy.forget('queue');
+    assert.equal(strategy.memory.has('queue'), false);
+    assert.equal(strategy.memory.has('other'), true);
+});
@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MemoryCache, StreamUrlCache, getStreamUrlExpiry, normalizeQuery } = require('../cache');
+const { useClock } = require('./helpers');
+
+test('MemoryCache evicts the least recently used entry', () => {
+    const cache = new MemoryCache({ maxSize: 2 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+
+    assert.equal(cache.get('a'), 1);
+    assert.equal(cache.get('b'), undefined);
+    assert.equal(cache.get('c'), 3);
+});
+
+test('MemoryCache expires entries after their ttl', (t) => {
+    const clock = useClock(t, 0);
+    const cache = new MemoryCache();
+    cache.set('short', 1, 1000);
+    cache.set('forever', 2);
+
+    clock.tick(999);
+    assert.equal(cache.get('short'), 1);
+    clock.tick(1);
+    assert.equal(cache.get('short'), undefined);
+    assert.equal(cache.get('forever'), 2);
+});
+
+test('getStreamUrlExpiry reads googlevideo expiry parameters', () => {
+    assert.equal(getStreamUrlExpiry('https://rr1.googlevideo.com/videoplayback?expire=1700000000&id=x'), 1700000000000);
+    assert.equal(getStreamUrlExpiry('https://manifest.googlevideo.com/api/manifest/hls_playlist/expire/1700000000/ei/x/index.m3u8'), 1700000000000);
+    assert.equal(getStreamUrlExpiry('https://cdn.example.com/audio.mp3'), null);
+    assert.equal(getStreamUrlExpiry('not a url'), null);
+});
+
+test('StreamUrlCache keeps URLs until shortly before they expire', (t) => {
+    const clock = useClock(t, 1700000000000);
+    const cache = new StreamUrlCache({ safetyMargin: 60 * 1000 });
+    const expire = 1700000000 + 10 * 60;
+    cache.set('track', `https://rr1.googlevideo.com/videoplayback?expire=${expire}`);
+
+    clock.tick(9 * 60 * 1000 - 1);
+    assert.ok(cache.get('track'));
+    clock.tick(1);
+    assert.equal(cache.get('track'), undefined);
+});
+
+test('StreamUrlCache uses the default ttl for URLs without expiry and skips expiring ones', (t) => {
+    const clock = useClock(t, 1700000000000);
+    const cache = new StreamUrlCache({ defaultTtl: 2000, safetyMargin: 1000 });
+    cache.set('plain', 'https://cdn.example.com/audio.mp3');
+    cache.set('expiring', 'https://rr1.googlevideo.com/videoplayback?expire=1700000000');
+
+    assert.equal(cache.get('expiring'), undefined);
+    assert.equal(cache.get('plain'), 'https://cdn.example.com/audio.mp3');
+    clock.tick(1000);
+    assert.equal(cache.get('plain'), undefined);
+});
+
+test('normalizeQuery ignores case and whitespace', () => {
+    assert.equal(normalizeQuery('  Never   Gonna\tGive You Up '), 'never gonna give you up');
+});
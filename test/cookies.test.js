@@ -0,0 +1,135 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { CookieManager, parseCookies, toNetscapeFormat, toCookieHeader } = require('../cookies');
+
+const directories = [];
+const createManager = () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ytdlp-cookies-test-'));
+    directories.push(directory);
+    return new CookieManager({ directory });
+};
+
+after(() => {
+    for (const directory of directories) {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('CookieManager writes a private file per call', () => {
+    const manager = createManager();
+    const first = manager.acquire('SID=abc; HSID=def');
+    const second = manager.acquire('SID=abc; HSID=def');
+
+    assert.notEqual(first, second);
+    assert.equal(fs.statSync(first).mode & 0o777, 0o600);
+    assert.match(fs.readFileSync(first, 'utf8'), /^# Netscape HTTP Cookie File/);
+    assert.match(fs.readFileSync(first, 'utf8'), /\tSID\tabc\n/);
+
+    manager.clear();
+});
+
+test('CookieManager deletes a file on release', () => {
+    const manager = createManager();
+    const first = manager.acquire('SID=abc');
+    const second = manager.acquire('SID=abc');
+
+    manager.release(first);
+    assert.equal(fs.existsSync(first), false);
+    assert.equal(fs.existsSync(second), true);
+
+    // Releasing twice or releasing null is harmless
+    manager.release(first);
+    manager.release(null);
+
+    manager.clear();
+    assert.equal(fs.existsSync(second), false);
+});
+
+test('CookieManager returns null without cookies', () => {
+    const manager = createManager();
+
+    assert.equal(manager.acquire(null), null);
+    assert.equal(manager.acquire(''), null);
+    assert.equal(manager.acquire([]), null);
+});
+
+test('parseCookies reads a cookie header', () => {
+    const jar = parseCookies('SID=abc; __Secure-3PSID=x=y; empty=');
+
+    assert.deepEqual(jar.map(cookie => [cookie.name, cookie.value]), [['SID', 'abc'], ['__Secure-3PSID', 'x=y']]);
+    assert.equal(jar[0].domain, '.youtube.com');
+    assert.equal(jar[0].includeSubdomains, true);
+    assert.equal(jar[1].secure, true);
+});
+
+test('parseCookies reads Netscape files', () => {
+    const jar = parseCookies([
+        '# Netscape HTTP Cookie File',
+        '.youtube.com\tTRUE\t/\tTRUE\t1900000000\tSID\tabc',
+        '#HttpOnly_www.youtube.com\tFALSE\t/\tFALSE\t0\tPREF\tf1=1\tf2=2',
+        'broken line'
+    ].join('\n'));
+
+    assert.equal(jar.length, 2);
+    assert.deepEqual(jar[0], {
+        domain: '.youtube.com',
+        includeSubdomains: true,
+        path: '/',
+        secure: true,
+        httpOnly: false,
+        expires: 1900000000,
+        name: 'SID',
+        value: 'abc'
+    });
+    assert.equal(jar[1].domain, 'www.youtube.com');
+    assert.equal(jar[1].includeSubdomains, false);
+    assert.equal(jar[1].httpOnly, true);
+    assert.equal(jar[1].value, 'f1=1\tf2=2');
+});
+
+test('parseCookies reads JSON exports and plain objects', () => {
+    const exported = JSON.stringify([
+        { name: 'SID', value: 'abc', domain: 'youtube.com', hostOnly: false, expirationDate: 1900000000.5 },
+        { name: 'HOST', value: '1', domain: '.youtube.com', hostOnly: true, session: true }
+    ]);
+    const jar = parseCookies(exported);
+
+    assert.equal(jar[0].domain, '.youtube.com');
+    assert.equal(jar[0].expires, 1900000000);
+    assert.equal(jar[1].domain, 'youtube.com');
+    assert.equal(jar[1].expires, 0);
+
+    assert.deepEqual(parseCookies({ cookies: [{ name: 'A', value: '1' }] }).map(cookie => cookie.name), ['A']);
+    assert.deepEqual(parseCookies({ A: '1', B: '2' }).map(cookie => cookie.value), ['1', '2']);
+    assert.deepEqual(parseCookies(null), []);
+});
+
+test('parseCookies reads a path to a cookies file', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ytdlp-cookies-test-'));
+    directories.push(directory);
+    const filePath = path.join(directory, 'cookies.txt');
+    fs.writeFileSync(filePath, '.youtube.com\tTRUE\t/\tFALSE\t0\tSID\tabc\n');
+
+    assert.deepEqual(parseCookies(filePath).map(cookie => cookie.name), ['SID']);
+});
+
+test('toNetscapeFormat round-trips through parseCookies', () => {
+    const jar = parseCookies('#HttpOnly_.youtube.com\tTRUE\t/\tTRUE\t1900000000\tSID\tabc\n');
+
+    assert.deepEqual(parseCookies(toNetscapeFormat(jar)), jar);
+});
+
+test('toCookieHeader only sends unexpired cookies for the host', () => {
+    const jar = parseCookies(JSON.stringify([
+        { name: 'A', value: '1', domain: '.youtube.com' },
+        { name: 'B', value: '2', domain: '.google.com' },
+        { name: 'C', value: '3', domain: '.youtube.com', expirationDate: 1 }
+    ]));
+
+    assert.equal(toCookieHeader(jar, 'youtube.com'), 'A=1');
+    assert.equal(toCookieHeader(jar, 'www.youtube.com'), 'A=1');
+});
@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    YtDlpExtractorError,
+    VideoUnavailableError,
+    PrivateVideoError,
+    GeoBlockedError,
+    AgeRestrictedError,
+    RateLimitedError,
+    BotCheckError,
+    BinaryMissingError,
+    TimeoutError,
+    UnsupportedUrlError,
+    classifyError,
+    toExtractorError
+} = require('../errors');
+
+test('classifyError maps yt-dlp and YouTube messages to error classes', () => {
+    const cases = [
+        ['ERROR: [youtube] abc: Sign in to confirm you’re not a bot', BotCheckError],
+        ['ERROR: unable to download video data: HTTP Error 429: Too Many Requests', RateLimitedError],
+        ['ERROR: [youtube] abc: Sign in to confirm your age', AgeRestrictedError],
+        ['ERROR: [youtube] abc: Private video. Sign in if you\'ve been granted access', PrivateVideoError],
+        ['ERROR: [youtube] abc: The uploader has not made this video available in your country', GeoBlockedError],
+        ['ERROR: Unsupported URL: https://example.com/', UnsupportedUrlError],
+        ['ERROR: [youtube] abc: Video unavailable', VideoUnavailableError],
+        ['Request timed out', TimeoutError]
+    ];
+
+    for (const [message, ErrorClass] of cases) {
+        assert.equal(classifyError(message), ErrorClass, message);
+    }
+    assert.equal(classifyError('ERROR: something else'), null);
+    assert.equal(classifyError(undefined), null);
+});
+
+test('typed errors carry their reason and extend the base error', () => {
+    const error = new PrivateVideoError('Private video', { url: 'https://youtu.be/abc', exitCode: 1 });
+
+    assert.ok(error instanceof PrivateVideoError);
+    assert.ok(error instanceof VideoUnavailableError);
+    assert.ok(error instanceof YtDlpExtractorError);
+    assert.ok(error instanceof Error);
+    assert.equal(error.name, 'PrivateVideoError');
+    assert.equal(error.reason, 'private');
+    assert.equal(error.url, 'https://youtu.be/abc');
+    assert.equal(error.exitCode, 1);
+    assert.equal(new YtDlpExtractorError('failed').reason, null);
+    assert.equal(new GeoBlockedError('blocked').reason, 'geoBlocked');
+});
+
+test('toExtractorError classifies by message and stderr and keeps the cause', () => {
+    const cause = Object.assign(new Error('yt-dlp exited with code 1'), { stderr: 'ERROR: [youtube] abc: Video unavailable' });
+    const error = toExtractorError(cause, { url: 'https://youtu.be/abc' });
+
+    assert.ok(error instanceof VideoUnavailableError);
+    assert.equal(error.message, 'yt-dlp exited with code 1');
+    assert.equal(error.cause, cause);
+    assert.equal(error.url, 'https://youtu.be/abc');
+    assert.equal(error.reason, 'unavailable');
+});
+
+test('toExtractorError recognizes a missing binary and timeouts', () => {
+    const missing = toExtractorError(Object.assign(new Error('spawn yt-dlp ENOENT'), { code: 'ENOENT' }));
+    assert.ok(missing instanceof BinaryMissingError);
+    assert.equal(missing.reason, 'binaryMissing');
+
+    const timedOut = toExtractorError(Object.assign(new Error('yt-dlp was killed'), { timedOut: true }));
+    assert.ok(timedOut instanceof TimeoutError);
+    assert.equal(timedOut.reason, 'timeout');
+});
+
+test('toExtractorError returns typed errors as they are and wraps anything else', () => {
+    const typed = new BotCheckError('bot');
+    assert.equal(toExtractorError(typed, { url: 'ignored' }), typed);
+
+    const unknown = toExtractorError('something broke');
+    assert.equal(unknown.constructor, YtDlpExtractorError);
+    assert.equal(unknown.message, 'something broke');
+    assert.equal(unknown.cause, undefined);
+});
@@ -0,0 +1,50 @@
+/**
+ * Shared helpers for the tests
+ */
+
+const { EventEmitter } = require('events');
+
+/**
+ * Replace Date.now with a clock that only moves when told to, for the rest of the test
+ * @param {import('node:test').TestContext} t
+ * @param {number} start Time the clock starts at
+ */
+const useClock = (t, start) => {
+    let now = start;
+    t.mock.method(Date, 'now', () => now);
+    return { tick: (ms) => { now += ms; } };
+};
+
+/**
+ * Create an activated extractor on a player that only has an event bus
+ * The youtubei.js client is never created and the "yt-dlp binary" is node itself, so tests mock
+ * whatever the extractor would otherwise reach out to; it is deactivated when the test ends.
+ * @param {import('node:test').TestContext} t
+ * @param {object} options Extractor options
+ */
+const createExtractor = async (t, options = {}) => {
+    const { YtDlpExtractor } = require('../index');
+
+    const player = { events: new EventEmitter(), debug: () => {} };
+    const extractor = new YtDlpExtractor({ player }, { ytdlpPath: process.execPath, ...options });
+    t.mock.method(extractor.youtubeSession, 'get', async () => null);
+
+    await extractor.activate();
+    t.after(() => extractor.deactivate());
+    return extractor;
+};
+
+/**
+ * A googlevideo URL that expires in six hours, as yt-dlp and youtubei.js return them
+ */
+const createMediaUrl = (id = 'audio') => {
+    const expire = Math.floor(Date.now() / 1000) + 6 * 60 * 60;
+    return `https://rr1---sn-test.googlevideo.com/videoplayback?id=${id}&expire=${expire}`;
+};
+
+/**
+ * Wait for timers and promise callbacks that are already due
+ */
+const flush = () => new Promise(resolve => setTimeout(resolve, 10));
+
+module.exports = { useClock, createExtractor, createMediaUrl, flush };
@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    normalizeTitle,
+    normalizeArtist,
+    titleSimilarity,
+    splitArtists,
+    scoreMatch,
+    rankMatches
+} = require('../matching');
+
+test('normalizeTitle drops upload decorations and featured artists', () => {
+    assert.equal(normalizeTitle('Hello World (Official Music Video) [HD]'), 'hello world');
+    assert.equal(normalizeTitle('Hello World - Lyrics'), 'hello world');
+    assert.equal(normalizeTitle('Hello World feat. Someone Else'), 'hello world');
+    assert.equal(normalizeTitle(null), '');
+});
+
+test('normalizeArtist drops Topic, VEVO and Official from uploader names', () => {
+    assert.equal(normalizeArtist('Artist - Topic'), 'artist');
+    assert.equal(normalizeArtist('ArtistVEVO'), 'artist');
+    assert.equal(normalizeArtist('Artist Official'), 'artist');
+});
+
+test('titleSimilarity compares the normalized words of two titles', () => {
+    assert.equal(titleSimilarity('Hello World', 'Hello World (Official Video)'), 1);
+    assert.equal(titleSimilarity('Hello World', 'Hello There'), 1 / 3);
+    assert.equal(titleSimilarity('Hello World', 'Something Else'), 0);
+    assert.equal(titleSimilarity('', 'Hello World'), 0);
+});
+
+test('splitArtists splits credits into normalized artist names', () => {
+    assert.deepEqual(splitArtists('A, B & C feat. D'), ['a', 'b', 'c', 'd']);
+    assert.deepEqual(splitArtists('Artist x Other - Topic'), ['artist', 'other']);
+    assert.deepEqual(splitArtists(''), []);
+});
+
+test('scoreMatch gives the same recording a full score', () => {
+    const source = { title: 'Hello World', author: 'Artist', durationMS: 200000 };
+    assert.equal(scoreMatch(source, { title: 'Artist - Hello World (Official Audio)', author: 'Artist - Topic', durationMS: 201000 }), 1);
+});
+
+test('scoreMatch penalizes far off durations, unwanted variants and live streams', () => {
+    const source = { title: 'Hello World', author: 'Artist', durationMS: 200000 };
+    const same = { title: 'Hello World', author: 'Artist', durationMS: 200000 };
+
+    assert.equal(scoreMatch(source, { ...same, durationMS: 260000 }), 0.75);
+    assert.equal(scoreMatch(source, { ...same, durationMS: 0 }), 0.875);
+    // "remix" is one of three title words and costs the variant penalty on top
+    assert.ok(Math.abs(scoreMatch(source, { ...same, title: 'Hello World (Remix)' }) - (2 / 3 * 0.5 + 0.5 - 0.2)) < 1e-9);
+    assert.equal(scoreMatch({ ...source, title: 'Hello World (Remix)' }, { ...same, title: 'Hello World (Remix)' }), 1);
+    assert.equal(scoreMatch(source, { ...same, isLive: true }), 0.5);
+});
+
+test('scoreMatch counts an artist named in the candidate title', () => {
+    const source = { title: 'Hello World', author: 'Artist', durationMS: 200000 };
+    const score = scoreMatch(source, { title: 'Artist - Hello World', author: 'Some Channel', durationMS: 200000 });
+    assert.equal(score, 0.9375);
+});
+
+test('rankMatches sorts by score and keeps the original order on ties', () => {
+    const source = { title: 'Hello World', author: 'Artist', durationMS: 200000 };
+    const ranked = rankMatches(source, [
+        { id: 'other', title: 'Something Else', author: 'Someone', durationMS: 100000 },
+        { id: 'first', title: 'Hello World', author: 'Artist', durationMS: 200000 },
+        { id: 'second', title: 'Hello World', author: 'Artist', durationMS: 200000 }
+    ]);
+
+    assert.deepEqual(ranked.map(candidate => candidate.id), ['first', 'second', 'other']);
+    assert.equal(ranked[0].matchScore, 1);
+    assert.equal(ranked[2].matchScore, 0);
+});
@@ -0,0 +1,134 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createExtractor, createMediaUrl, flush } = require('./helpers');
+
+// Tracks end after 10s and prefetching starts 20s before the end, so it runs right away
+const createTracks = (extractor) => ({
+    current: { extractor, title: 'Current', url: 'https://www.youtube.com/watch?v=aaaaaaaaaaa', durationMS: 10000 },
+    next: { extractor, title: 'Next', url: 'https://www.youtube.com/watch?v=bbbbbbbbbbb', durationMS: 10000 }
+});
+
+const createQueue = (upcoming) => ({
+    id: 'guild',
+    tracks: { at: (index) => upcoming[index] },
+    node: { setProgress: () => {} }
+});
+
+test('the next track is resolved once the current one is about to end', async (t) => {
+    const extractor = await createExtractor(t, { prefetch: true });
+    const { current, next } = createTracks(extractor);
+    const resolve = t.mock.method(extractor, 'resolveStreamUrl', async () => createMediaUrl());
+
+    extractor.context.player.events.emit('playerStart', createQueue([next]), current);
+    await flush();
+
+    assert.equal(resolve.mock.callCount(), 1);
+    assert.equal(resolve.mock.calls[0].arguments[0], next.url);
+    assert.equal(extractor.streamCache.get(next.url), await resolve.mock.calls[0].result);
+});
+
+test('stream uses the prefetched URL instead of resolving it again', async (t) => {
+    const extractor = await createExtractor(t, { prefetch: true, streamCache: false });
+    const { next } = createTracks(extractor);
+    const mediaUrl = createMediaUrl();
+    const resolve = t.mock.method(extractor, 'resolveStreamUrl', async () => mediaUrl);
+
+    extractor.prefetchStream(next);
+
+    assert.equal(await extractor.stream(next), mediaUrl);
+    assert.equal(resolve.mock.callCount(), 1);
+    assert.equal(extractor.prefetched.size, 0);
+});
+
+test('stream waits for a prefetch that is still running', async (t) => {
+    const extractor = await createExtractor(t, { prefetch: true, streamCache: false });
+    const { next } = createTracks(extractor);
+    const mediaUrl = createMediaUrl();
+    let finish;
+    const resolve = t.mock.method(extractor, 'resolveStreamUrl', () => new Promise(done => { finish = done; }));
+
+    extractor.prefetchStream(next);
+    const streamed = extractor.stream(next);
+    finish(mediaUrl);
+
+    assert.equal(await streamed, mediaUrl);
+    assert.equal(resolve.mock.callCount(), 1);
+});
+
+test('stream resolves the URL again when the prefetch failed', async (t) => {
+    const extractor = await createExtractor(t, { prefetch: true, streamCache: false });
+    const { next } = createTracks(extractor);
+    const mediaUrl = createMediaUrl();
+    let calls = 0;
+    const resolve = t.mock.method(extractor, 'resolveStreamUrl', async () => {
+        if (calls++ === 0) throw new Error('HTTP Error 503');
+        return mediaUrl;
+    });
+
+    extractor.prefetchStream(next);
+
+    assert.equal(await extractor.stream(next), mediaUrl);
+    assert.equal(resolve.mock.callCount(), 2);
+});
+
+test('a prefetched URL that fails to play is resolved again', async (t) => {
+    const extractor = await createExtractor(t, { prefetch: true });
+    const { next } = createTracks(extractor);
+    const resolve = t.mock.method(extractor, 'resolveStreamUrl', async () => createMediaUrl(`try-${resolve.mock.callCount()}`));
+
+    extractor.prefetchStream(next);
+    const prefetchedUrl = await extractor.stream(next);
+
+    extractor.context.player.events.emit('playerError', createQueue([]), new Error('403 Forbidden'), next);
+    assert.equal(extractor.streamCache.get(next.url), undefined);
+
+    const retriedUrl = await extractor.stream(next);
+    assert.notEqual(retriedUrl, prefetchedUrl);
+    assert.equal(resolve.mock.callCount(), 2);
+});
+
+test('live tracks and tracks of other extractors are not prefetched', async (t) => {
+    const extractor = await createExtractor(t, { prefetch: true });
+    const { current, next } = createTracks(extractor);
+    const resolve = t.mock.method(extractor, 'resolveStreamUrl', async () => createMediaUrl());
+    const events = extractor.context.player.events;
+
+    events.emit('playerStart', createQueue([{ ...next, live: true }]), current);
+    await flush();
+    events.emit('playerStart', createQueue([{ ...next, extractor: { identifier: 'com.discord-player.spotifyextractor' } }]), current);
+    await flush();
+
+    assert.equal(resolve.mock.callCount(), 0);
+});
+
+test('nothing is scheduled for live tracks, in pipe mode or after a skip', async (t) => {
+    const extractor = await createExtractor(t, { prefetch: { secondsBeforeEnd: 5 } });
+    const { current, next } = createTracks(extractor);
+    const queue = createQueue([next]);
+    const events = extractor.context.player.events;
+
+    events.emit('playerStart', queue, { ...current, live: true });
+    assert.equal(extractor.prefetchTimers.size, 0);
+
+    events.emit('playerStart', queue, current);
+    assert.equal(extractor.prefetchTimers.size, 1);
+    events.emit('playerSkip', queue, current);
+    assert.equal(extractor.prefetchTimers.size, 0);
+
+    const piped = await createExtractor(t, { prefetch: true, streamMode: 'pipe' });
+    piped.context.player.events.emit('playerStart', queue, { ...current, extractor: piped });
+    assert.equal(piped.prefetchTimers.size, 0);
+});
+
+test('prefetching is off unless enabled', async (t) => {
+    const extractor = await createExtractor(t);
+    const { current, next } = createTracks(extractor);
+    const resolve = t.mock.method(extractor, 'resolveStreamUrl', async () => createMediaUrl());
+
+    extractor.context.player.events.emit('playerStart', createQueue([next]), current);
+    await flush();
+
+    assert.equal(extractor.prefetchTimers.size, 0);
+    assert.equal(resolve.mock.callCount(), 0);
+});
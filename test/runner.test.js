@@ -0,0 +1,160 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { YtDlpRunner } = require('../runner');
+const { YtDlpExtractorError, BotCheckError, BinaryMissingError, TimeoutError } = require('../errors');
+
+// Stand-in for yt-dlp, its first argument picks what it does
+const FAKE_BINARY = `#!${process.execPath}
+const [mode, ...args] = process.argv.slice(2);
+const pidFile = process.env.FAKE_YTDLP_PID_FILE;
+if (pidFile) require('fs').writeFileSync(pidFile, String(process.pid));
+
+if (mode === 'echo') {
+    process.stdout.write(JSON.stringify(args));
+} else if (mode === 'hang') {
+    setInterval(() => {}, 1000);
+} else if (mode === 'flood') {
+    process.stdout.write('x'.repeat(64 * 1024));
+    setInterval(() => {}, 1000);
+} else if (mode === 'fail') {
+    process.stderr.write('WARNING: [youtube] falling back\\nERROR: first failure\\nERROR: [youtube] abc: Sign in to confirm you’re not a bot\\n');
+    process.exitCode = 1;
+} else if (mode === 'audio') {
+    setInterval(() => process.stdout.write(Buffer.alloc(1024)), 10);
+}
+`;
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ytdlp-runner-test-'));
+const binaryPath = path.join(directory, 'yt-dlp');
+fs.writeFileSync(binaryPath, FAKE_BINARY, { mode: 0o755 });
+
+after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+// Runs the fake binary with its pid written to a file, to check on the process afterwards
+const withPidFile = (t, name) => {
+    const pidFile = path.join(directory, `${name}.pid`);
+    const previous = process.env.FAKE_YTDLP_PID_FILE;
+    process.env.FAKE_YTDLP_PID_FILE = pidFile;
+    t.after(() => {
+        if (previous === undefined) delete process.env.FAKE_YTDLP_PID_FILE;
+        else process.env.FAKE_YTDLP_PID_FILE = previous;
+    });
+    return () => Number(fs.readFileSync(pidFile, 'utf8'));
+};
+
+const isRunning = (pid) => {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+test('run passes arguments to yt-dlp as they are, without a shell', async () => {
+    const runner = new YtDlpRunner(binaryPath);
+    const url = 'https://example.com/watch?v=1&list=2;rm -rf ~ $(whoami) `id` | cat > /tmp/x "quoted" \'single\'';
+
+    const { stdout } = await runner.run(['echo', '--no-warnings', url]);
+    assert.deepEqual(JSON.parse(stdout), ['--no-warnings', url]);
+});
+
+test('json parses the output of yt-dlp', async () => {
+    const runner = new YtDlpRunner(binaryPath);
+    assert.deepEqual(await runner.json(['echo', '-J']), ['-J']);
+});
+
+test('run rejects with a TimeoutError and kills yt-dlp when it takes too long', async (t) => {
+    const readPid = withPidFile(t, 'timeout');
+    const runner = new YtDlpRunner(binaryPath, { timeout: 1000 });
+
+    await assert.rejects(runner.run(['hang']), (error) => {
+        assert.ok(error instanceof TimeoutError);
+        assert.equal(error.timedOut, true);
+        return true;
+    });
+    assert.equal(isRunning(readPid()), false);
+});
+
+test('run rejects and kills yt-dlp when its output exceeds maxBuffer', async (t) => {
+    const readPid = withPidFile(t, 'flood');
+    const runner = new YtDlpRunner(binaryPath, { maxBuffer: 1024 });
+
+    await assert.rejects(runner.run(['flood']), /exceeded maxBuffer of 1024 bytes/);
+    assert.equal(isRunning(readPid()), false);
+});
+
+test('run classifies a failed run by its stderr', async () => {
+    const runner = new YtDlpRunner(binaryPath);
+
+    await assert.rejects(runner.run(['fail']), (error) => {
+        assert.ok(error instanceof BotCheckError);
+        assert.equal(error.reason, 'botCheck');
+        assert.equal(error.exitCode, 1);
+        assert.equal(error.message, 'yt-dlp error: [youtube] abc: Sign in to confirm you’re not a bot');
+        assert.match(error.stderr, /^WARNING:/);
+        return true;
+    });
+});
+
+test('parseStderr picks the last ERROR line, or the last line without one', () => {
+    assert.equal(YtDlpRunner.parseStderr('WARNING: a\nERROR: first\nERROR: second\n[info] done\n'), 'second');
+    assert.equal(YtDlpRunner.parseStderr('WARNING: a\r\nsomething went wrong\r\n'), 'something went wrong');
+    assert.equal(YtDlpRunner.parseStderr(''), null);
+    assert.equal(YtDlpRunner.parseStderr(null), null);
+});
+
+test('classifyStderr names the reason of a failure', () => {
+    assert.equal(YtDlpRunner.classifyStderr('ERROR: [youtube] abc: Private video'), 'private');
+    assert.equal(YtDlpRunner.classifyStderr('ERROR: HTTP Error 429: Too Many Requests'), 'rateLimit');
+    assert.equal(YtDlpRunner.classifyStderr('ERROR: something else'), null);
+});
+
+test('stream kills yt-dlp when the consumer destroys the stream', async (t) => {
+    const readPid = withPidFile(t, 'stream');
+    const runner = new YtDlpRunner(binaryPath);
+
+    const exited = new Promise(resolve => {
+        const stream = runner.stream(['audio'], { onExit: resolve });
+        stream.once('data', () => stream.destroy());
+    });
+
+    await exited;
+    assert.equal(isRunning(readPid()), false);
+});
+
+test('stream errors with the classified stderr when yt-dlp fails', async () => {
+    const runner = new YtDlpRunner(binaryPath);
+    const stream = runner.stream(['fail']);
+    stream.resume();
+
+    const [error] = await new Promise(resolve => stream.once('error', (...args) => resolve(args)));
+    assert.ok(error instanceof BotCheckError);
+    assert.equal(error.exitCode, 1);
+});
+
+test('a missing binary fails with BinaryMissingError', async () => {
+    const runner = new YtDlpRunner(path.join(directory, 'missing'));
+
+    assert.equal(runner.exists(), false);
+    assert.throws(() => runner.assertBinary(), BinaryMissingError);
+    assert.throws(() => runner.stream(['audio']), BinaryMissingError);
+    await assert.rejects(runner.run(['echo']), (error) => {
+        assert.ok(error instanceof BinaryMissingError);
+        assert.ok(error instanceof YtDlpExtractorError);
+        assert.equal(error.reason, 'binaryMissing');
+        return true;
+    });
+});
+
+test('from accepts a runner or a binary path', () => {
+    const runner = new YtDlpRunner(binaryPath);
+    assert.equal(YtDlpRunner.from(runner), runner);
+    assert.equal(YtDlpRunner.from(binaryPath).binaryPath, binaryPath);
+});
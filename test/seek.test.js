@@ -0,0 +1,140 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
+
+const { createExtractor, createMediaUrl } = require('./helpers');
+
+const createTrack = (extractor) => ({ extractor, title: 'Podcast', url: 'https://www.youtube.com/watch?v=aaaaaaaaaaa', durationMS: 3600000 });
+
+// Piped stream whose yt-dlp process never runs, `process.stdout` delivers its audio
+const createPipedStream = () => {
+    const stream = new PassThrough();
+    stream.process = { pid: 0, stdout: new EventEmitter() };
+    return stream;
+};
+
+// Queue playing the track, play() streams it the way discord-player does
+const createQueue = (extractor, track) => {
+    const queue = {
+        currentTrack: track,
+        progress: 0,
+        node: {
+            seek: async () => true,
+            setProgress: (progress) => { queue.progress = progress; },
+            play: async (played) => { queue.played = await extractor.stream(played); },
+            tasksQueue: {
+                acquired: 0,
+                acquire: () => { queue.node.tasksQueue.acquired++; return { getTask: async () => {} }; },
+                release: () => { queue.node.tasksQueue.acquired--; }
+            }
+        }
+    };
+    return queue;
+};
+
+test('a track with a start offset is piped from there until yt-dlp delivers audio', async (t) => {
+    const extractor = await createExtractor(t, { streamCache: false });
+    const track = createTrack(extractor);
+    const piped = createPipedStream();
+    const pipe = t.mock.method(extractor, 'pipeStream', () => piped);
+    const mediaUrl = createMediaUrl();
+    t.mock.method(extractor, 'resolveStreamUrl', async () => mediaUrl);
+
+    assert.equal(extractor.setStartTime(track, 90000), true);
+    assert.equal(await extractor.stream(track), piped);
+    assert.deepEqual(pipe.mock.calls[0].arguments.slice(1), [null, { startTime: 90000 }]);
+
+    // Nothing arrived yet, a retry starts at the offset again
+    assert.equal(await extractor.stream(track), piped);
+    assert.equal(pipe.mock.callCount(), 2);
+
+    piped.process.stdout.emit('data', Buffer.alloc(1));
+    assert.equal(await extractor.stream(track), mediaUrl);
+    assert.equal(pipe.mock.callCount(), 2);
+});
+
+test('the progress starts at the offset the stream started at', async (t) => {
+    const extractor = await createExtractor(t);
+    const track = createTrack(extractor);
+    const queue = createQueue(extractor, track);
+    t.mock.method(extractor, 'pipeStream', () => createPipedStream());
+
+    extractor.setStartTime(track, 90000);
+    await extractor.stream(track);
+    extractor.context.player.events.emit('playerTrigger', queue, track, 'normal');
+    assert.equal(queue.progress, 90000);
+
+    // Only once
+    queue.progress = 0;
+    extractor.context.player.events.emit('playerTrigger', queue, track, 'filters');
+    assert.equal(queue.progress, 0);
+});
+
+test('setStartTime ignores offsets outside the track and live tracks', async (t) => {
+    const extractor = await createExtractor(t);
+    const track = createTrack(extractor);
+
+    for (const position of [0, -1, NaN, 3600000, 4000000]) {
+        assert.equal(extractor.setStartTime(track, position), false, String(position));
+    }
+    assert.equal(extractor.setStartTime({ ...track, live: true }, 1000), false);
+    assert.equal(extractor.startTimes.has(track), false);
+
+    extractor.setStartTime(track, 1000);
+    extractor.setStartTime(track, 0);
+    assert.equal(extractor.startTimes.has(track), false);
+});
+
+test('seek pipes the current track again from the position in pipe mode', async (t) => {
+    const extractor = await createExtractor(t, { streamMode: 'pipe' });
+    const track = createTrack(extractor);
+    const queue = createQueue(extractor, track);
+    const piped = createPipedStream();
+    const pipe = t.mock.method(extractor, 'pipeStream', () => piped);
+    const seek = t.mock.method(queue.node, 'seek');
+    const play = t.mock.method(queue.node, 'play');
+
+    assert.equal(await extractor.seek(queue, 1800000), true);
+
+    assert.equal(seek.mock.callCount(), 0);
+    assert.deepEqual(play.mock.calls[0].arguments[1], { queue: false, seek: 0, transitionMode: true });
+    assert.equal(queue.played, piped);
+    assert.deepEqual(pipe.mock.calls[0].arguments[2], { startTime: 1800000 });
+    assert.equal(queue.node.tasksQueue.acquired, 0);
+});
+
+test('seek leaves other seeks to queue.node.seek', async (t) => {
+    const urlMode = await createExtractor(t);
+    const piped = await createExtractor(t, { streamMode: 'pipe' });
+    const other = { identifier: 'com.discord-player.spotifyextractor' };
+
+    const cases = [
+        [urlMode, createTrack(urlMode), 60000],
+        [piped, createTrack(other), 60000],
+        [piped, createTrack(piped), 0],
+        [piped, createTrack(piped), 3600000],
+        [piped, { ...createTrack(piped), live: true }, 60000]
+    ];
+
+    for (const [extractor, track, position] of cases) {
+        const queue = createQueue(extractor, track);
+        const seek = t.mock.method(queue.node, 'seek');
+        const play = t.mock.method(queue.node, 'play');
+
+        await extractor.seek(queue, position);
+        assert.deepEqual(seek.mock.calls[0].arguments, [position]);
+        assert.equal(play.mock.callCount(), 0);
+    }
+});
+
+test('a failed seek clears the offset and releases the queue', async (t) => {
+    const extractor = await createExtractor(t, { streamMode: 'pipe' });
+    const track = createTrack(extractor);
+    const queue = createQueue(extractor, track);
+    queue.node.play = async () => { throw new Error('voice connection lost'); };
+
+    assert.equal(await extractor.seek(queue, 60000), false);
+    assert.equal(extractor.startTimes.has(track), false);
+    assert.equal(queue.node.tasksQueue.acquired, 0);
+});
@@ -0,0 +1,157 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Innertube } = require('youtubei.js');
+
+const { YouTubeSession, SharedYouTubeSession, SessionPool, getSessionKey } = require('../session');
+
+const ALICE = { cookies: 'SID=alice; HSID=a' };
+const BOB = { cookies: 'SID=bob; HSID=b' };
+
+// Innertube.create hands out fake clients that remember whether they were signed out
+const mockInnertube = (t, fail = () => false) => {
+    t.mock.method(console, 'error', () => {});
+    return t.mock.method(Innertube, 'create', async (options) => {
+        if (fail(options)) {
+            throw new Error('getaddrinfo EAI_AGAIN www.youtube.com');
+        }
+
+        const client = { options, signedOut: false };
+        client.session = { signOut: async () => { client.signedOut = true; } };
+        return client;
+    });
+};
+
+test('a session reuses its client while the options stay the same', async (t) => {
+    const create = mockInnertube(t);
+    const session = new YouTubeSession();
+
+    const client = await session.get(ALICE);
+    assert.equal(await session.get({ ...ALICE }), client);
+    assert.equal(create.mock.callCount(), 1);
+    assert.equal(client.options.cookie, 'SID=alice; HSID=a');
+});
+
+test('a session recreates its client and signs the old one out when the options change', async (t) => {
+    const create = mockInnertube(t);
+    const session = new YouTubeSession();
+
+    const alice = await session.get(ALICE);
+    const bob = await session.get(BOB);
+
+    assert.notEqual(bob, alice);
+    assert.equal(alice.signedOut, true);
+    assert.equal(create.mock.callCount(), 2);
+});
+
+test('a client that failed to start is created again on the next call', async (t) => {
+    let failing = true;
+    const create = mockInnertube(t, () => failing);
+    const session = new YouTubeSession();
+
+    assert.equal(await session.get(ALICE), null);
+    assert.equal(session.client, null);
+
+    failing = false;
+    assert.ok(await session.get(ALICE));
+    assert.equal(create.mock.callCount(), 2);
+});
+
+test('concurrent calls share the client being created', async (t) => {
+    const create = mockInnertube(t);
+    const session = new YouTubeSession();
+
+    const [first, second] = await Promise.all([session.get(ALICE), session.get(ALICE)]);
+    assert.equal(first, second);
+    assert.equal(create.mock.callCount(), 1);
+});
+
+test('close signs the client out and the next call creates a new one', async (t) => {
+    const create = mockInnertube(t);
+    const session = new YouTubeSession();
+
+    const client = await session.get(ALICE);
+    await session.close();
+
+    assert.equal(client.signedOut, true);
+    assert.notEqual(await session.get(ALICE), client);
+    assert.equal(create.mock.callCount(), 2);
+
+    // Nothing to sign out
+    await new YouTubeSession().close();
+});
+
+test('the pool hands out one session per set of options and closes it after the last user', async (t) => {
+    mockInnertube(t);
+    const pool = new SessionPool();
+
+    const first = pool.acquire(ALICE);
+    const second = pool.acquire({ ...ALICE });
+    const other = pool.acquire(BOB);
+
+    assert.equal(second.session, first.session);
+    assert.notEqual(other.session, first.session);
+    assert.equal(first.key, getSessionKey(ALICE));
+    assert.equal(pool.entries.get(first.key).users, 2);
+
+    const client = await first.session.get(ALICE);
+    await pool.release(first.key);
+    assert.equal(client.signedOut, false);
+
+    await pool.release(second.key);
+    assert.equal(client.signedOut, true);
+    assert.equal(pool.entries.has(first.key), false);
+    assert.equal(pool.entries.has(other.key), true);
+
+    // Releasing a key that is gone is a no-op
+    await pool.release(first.key);
+});
+
+test('shared sessions with the same options share a client', async (t) => {
+    const create = mockInnertube(t);
+    const pool = new SessionPool();
+    const first = new SharedYouTubeSession(pool);
+    const second = new SharedYouTubeSession(pool);
+    const other = new SharedYouTubeSession(pool);
+
+    const client = await first.get(ALICE);
+    assert.equal(await second.get(ALICE), client);
+    assert.notEqual(await other.get(BOB), client);
+    assert.equal(create.mock.callCount(), 2);
+
+    await first.close();
+    assert.equal(client.signedOut, false);
+    await second.close();
+    assert.equal(client.signedOut, true);
+});
+
+test('a shared session moves to another pooled session when its options change', async (t) => {
+    mockInnertube(t);
+    const pool = new SessionPool();
+    const first = new SharedYouTubeSession(pool);
+    const second = new SharedYouTubeSession(pool);
+
+    const alice = await first.get(ALICE);
+    await second.get(ALICE);
+    const bob = await first.get(BOB);
+
+    assert.notEqual(bob, alice);
+    assert.equal(alice.signedOut, false);
+    assert.equal(pool.entries.get(getSessionKey(ALICE)).users, 1);
+    assert.equal(pool.entries.get(getSessionKey(BOB)).users, 1);
+
+    await second.get(BOB);
+    assert.equal(alice.signedOut, true);
+    assert.equal(pool.entries.has(getSessionKey(ALICE)), false);
+});
+
+test('a shared session retries a client that failed to start', async (t) => {
+    let failing = true;
+    mockInnertube(t, () => failing);
+    const pool = new SessionPool();
+    const shared = new SharedYouTubeSession(pool);
+
+    assert.equal(await shared.get(ALICE), null);
+    failing = false;
+    assert.ok(await shared.get(ALICE));
+    assert.equal(pool.entries.get(getSessionKey(ALICE)).users, 1);
+});
@@ -0,0 +1,165 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createExtractor, createMediaUrl, useClock } = require('./helpers');
+const { YtDlpExtractorError, BotCheckError, TimeoutError, VideoUnavailableError } = require('../errors');
+
+const URL = 'https://www.youtube.com/watch?v=aaaaaaaaaaa';
+const QUALITY = 'bestaudio[ext=m4a]';
+
+// Stream resolution without waiting between retries
+const createResolvingExtractor = (t, streamResolution = {}, options = {}) => createExtractor(t, {
+    streamResolution: { retryDelay: 0, ...streamResolution },
+    ...options
+});
+
+// Answers each attempt with answer(attempt, call), recording the attempts as describeStreamAttempt labels them
+const mockAttempts = (t, extractor, answer) => {
+    const tried = [];
+    t.mock.method(extractor, 'runStreamAttempt', async (url, attempt) => {
+        tried.push(extractor.describeStreamAttempt(attempt));
+        return answer(attempt, tried.length);
+    });
+    return tried;
+};
+
+test('attempts go through formats, YouTube clients, no cookies and youtubei.js in order', async (t) => {
+    const extractor = await createResolvingExtractor(t, {}, { youtubeiOptions: { cookies: 'SID=abc' } });
+
+    assert.deepEqual(extractor.createStreamAttempts(URL, QUALITY).map(attempt => extractor.describeStreamAttempt(attempt)), [
+        `format ${QUALITY}`,
+        'format bestaudio/best',
+        'format best[acodec!=none]',
+        `format ${QUALITY}, client tv`,
+        `format ${QUALITY}, client web_safari`,
+        `format ${QUALITY}, client mweb`,
+        `format ${QUALITY}, without cookies`,
+        'youtubei.js'
+    ]);
+
+    // Other sites have no YouTube clients or youtubei.js, live streams no youtubei.js
+    assert.equal(extractor.createStreamAttempts('https://soundcloud.com/artist/song', QUALITY).length, 4);
+    assert.equal(extractor.createStreamAttempts(URL, QUALITY, { live: true }).some(attempt => attempt.youtubei), false);
+});
+
+test('youtubei.js goes first when it is the stream source', async (t) => {
+    const extractor = await createResolvingExtractor(t, {}, { youtubeStreamSource: 'youtubei' });
+    const attempts = extractor.createStreamAttempts(URL, QUALITY);
+
+    assert.deepEqual(attempts[0], { youtubei: true, videoId: 'aaaaaaaaaaa', source: true });
+    assert.equal(attempts.filter(attempt => attempt.youtubei).length, 1);
+});
+
+test('a single attempt without streamResolution', async (t) => {
+    const extractor = await createExtractor(t, { streamResolution: false });
+    const tried = mockAttempts(t, extractor, () => { throw new Error('HTTP Error 503: Service Unavailable'); });
+
+    await assert.rejects(extractor.resolveStreamUrl(URL, QUALITY), /HTTP Error 503/);
+    assert.deepEqual(tried, [`format ${QUALITY}`]);
+});
+
+test('the first attempt that succeeds wins', async (t) => {
+    const extractor = await createResolvingExtractor(t);
+    const mediaUrl = createMediaUrl();
+    const tried = mockAttempts(t, extractor, (attempt) => {
+        if (attempt.playerClient !== 'tv') throw new Error('Requested format is not available');
+        return mediaUrl;
+    });
+
+    assert.equal(await extractor.resolveStreamUrl(URL, QUALITY), mediaUrl);
+    assert.deepEqual(tried, [
+        `format ${QUALITY}`,
+        'format bestaudio/best',
+        'format best[acodec!=none]',
+        `format ${QUALITY}, client tv`
+    ]);
+});
+
+test('format fallbacks are skipped after a bot check', async (t) => {
+    const extractor = await createResolvingExtractor(t);
+    const tried = mockAttempts(t, extractor, (attempt, call) => {
+        if (call === 1) throw new BotCheckError('Sign in to confirm you’re not a bot');
+        return createMediaUrl();
+    });
+
+    await extractor.resolveStreamUrl(URL, QUALITY);
+    assert.deepEqual(tried, [`format ${QUALITY}`, `format ${QUALITY}, client tv`]);
+});
+
+test('5xx errors and rate limits are retried, other errors move on', async (t) => {
+    const cases = [
+        [new Error('HTTP Error 503: Service Unavailable'), 3],
+        [new Error('[Errno 104] Connection reset by peer'), 3],
+        [new Error('HTTP Error 429: Too Many Requests'), 3],
+        [new Error('HTTP Error 403: Forbidden'), 1],
+        [new Error('ERROR: unable to download video data: HTTP Error 404: Not Found'), 1],
+        [new Error('Requested format is not available'), 1]
+    ];
+
+    for (const [error, expected] of cases) {
+        const extractor = await createResolvingExtractor(t, { retries: 2 });
+        const tried = mockAttempts(t, extractor, (attempt, call) => {
+            if (call <= expected) throw error;
+            return createMediaUrl();
+        });
+
+        await extractor.resolveStreamUrl(URL, QUALITY);
+        assert.equal(tried.filter(label => label === `format ${QUALITY}`).length, expected, error.message);
+    }
+});
+
+test('timeouts are only retried on the first attempt', async (t) => {
+    const extractor = await createResolvingExtractor(t, { retries: 2 });
+    const tried = mockAttempts(t, extractor, () => { throw new TimeoutError('yt-dlp timed out after 30000ms'); });
+
+    await assert.rejects(extractor.resolveStreamUrl(URL, QUALITY), TimeoutError);
+    assert.equal(tried.length, 3 + 6);
+    assert.deepEqual(tried.slice(0, 4), [`format ${QUALITY}`, `format ${QUALITY}`, `format ${QUALITY}`, 'format bestaudio/best']);
+});
+
+test('unavailable videos end the chain right away', async (t) => {
+    const extractor = await createResolvingExtractor(t);
+    const tried = mockAttempts(t, extractor, () => { throw new VideoUnavailableError('Video unavailable'); });
+
+    await assert.rejects(extractor.resolveStreamUrl(URL, QUALITY), VideoUnavailableError);
+    assert.equal(tried.length, 1);
+});
+
+test('the error that says why is thrown rather than the last one', async (t) => {
+    const extractor = await createResolvingExtractor(t);
+    mockAttempts(t, extractor, (attempt) => {
+        if (attempt.youtubei) throw new Error('YouTube service not available');
+        if (attempt.playerClient === 'tv') throw new TimeoutError('yt-dlp timed out after 30000ms');
+        throw new BotCheckError('Sign in to confirm you’re not a bot');
+    });
+
+    await assert.rejects(extractor.resolveStreamUrl(URL, QUALITY), (error) => {
+        assert.ok(error instanceof BotCheckError);
+        assert.equal(error.reason, 'botCheck');
+        return true;
+    });
+});
+
+test('the last error is thrown when none says why', async (t) => {
+    const extractor = await createResolvingExtractor(t);
+    mockAttempts(t, extractor, (attempt, call) => { throw new Error(`failure ${call}`); });
+
+    await assert.rejects(extractor.resolveStreamUrl(URL, QUALITY), (error) => {
+        assert.ok(error instanceof YtDlpExtractorError);
+        assert.equal(error.message, 'failure 7');
+        return true;
+    });
+});
+
+test('no attempt starts once the time budget is used up', async (t) => {
+    const clock = useClock(t, 1_000_000);
+    const extractor = await createResolvingExtractor(t, { timeBudget: 60000, retryDelay: 30000 });
+    const tried = mockAttempts(t, extractor, () => {
+        clock.tick(40000);
+        throw new Error('HTTP Error 502: Bad Gateway');
+    });
+
+    // 40s in, a retry would only start at 70s; the next attempt ends at 80s
+    await assert.rejects(extractor.resolveStreamUrl(URL, QUALITY), /HTTP Error 502/);
+    assert.deepEqual(tried, [`format ${QUALITY}`, 'format bestaudio/best']);
+});
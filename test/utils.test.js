@@ -0,0 +1,172 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    parseSearchPrefix,
+    parseViewCount,
+    extractStartTime,
+    extractYouTubeId,
+    extractYouTubePlaylistId,
+    extractYouTubePlaylistIndex,
+    searchYouTube,
+    searchYouTubeMusic,
+    loadPlaylistPages
+} = require('../utils');
+const { YtDlpExtractorError } = require('../errors');
+
+// youtubei.js session that answers every request right away
+const createSession = (yt) => ({ get: async () => yt });
+
+const countTimers = () => process.getActiveResourcesInfo().filter(resource => resource === 'Timeout').length;
+
+test('parseSearchPrefix splits known search prefixes off a query', () => {
+    const cases = [
+        ['ytsearch:never gonna give you up', { prefix: 'ytsearch', source: 'youtube', query: 'never gonna give you up' }],
+        ['ytmsearch: lofi beats ', { prefix: 'ytmsearch', source: 'youtubeMusic', query: 'lofi beats' }],
+        ['SCSEARCH:Artist - Song', { prefix: 'scsearch', source: 'soundcloud', query: 'Artist - Song' }],
+        ['bilisearch:初音ミク', { prefix: 'bilisearch', source: 'bilibili', query: '初音ミク' }],
+        ['nicosearch:a:b', { prefix: 'nicosearch', source: 'niconico', query: 'a:b' }],
+        ['ytsearch:', { prefix: 'ytsearch', source: 'youtube', query: '' }]
+    ];
+
+    for (const [query, expected] of cases) {
+        assert.deepEqual(parseSearchPrefix(query), expected, query);
+    }
+});
+
+test('parseSearchPrefix leaves other queries and URLs alone', () => {
+    for (const query of ['never gonna give you up', 'https://youtu.be/dQw4w9WgXcQ', 'spsearch:song', 'artist: song', '']) {
+        assert.equal(parseSearchPrefix(query), null, query);
+    }
+});
+
+test('parseViewCount reads numbers and view count text', () => {
+    const cases = [
+        [1234, 1234],
+        [12.7, 12],
+        [-5, 0],
+        [NaN, 0],
+        ['1,234,567 views', 1234567],
+        ['1.2M views', 1200000],
+        ['15K views', 15000],
+        ['3.4b', 3400000000],
+        ['No views', 0],
+        [null, 0],
+        [undefined, 0]
+    ];
+
+    for (const [value, expected] of cases) {
+        assert.equal(parseViewCount(value), expected, String(value));
+    }
+});
+
+test('YouTube URLs give up their video, playlist and index', () => {
+    const cases = [
+        ['https://www.youtube.com/watch?v=dQw4w9WgXcQ', 'dQw4w9WgXcQ', null, null],
+        ['https://youtu.be/dQw4w9WgXcQ?t=42', 'dQw4w9WgXcQ', null, null],
+        ['https://music.youtube.com/watch?v=dQw4w9WgXcQ&list=RDAMVMdQw4w9WgXcQ', 'dQw4w9WgXcQ', 'RDAMVMdQw4w9WgXcQ', null],
+        ['https://www.youtube.com/watch?v=dQw4w9WgXcQ&list=PLabc_123-x&index=4', 'dQw4w9WgXcQ', 'PLabc_123-x', 4],
+        ['https://www.youtube.com/playlist?list=PLabc_123-x', null, 'PLabc_123-x', null],
+        ['https://www.youtube.com/playlist?list=PLabc&index=0', null, 'PLabc', null]
+    ];
+
+    for (const [url, videoId, playlistId, index] of cases) {
+        assert.equal(extractYouTubeId(url), videoId, url);
+        assert.equal(extractYouTubePlaylistId(url), playlistId, url);
+        assert.equal(extractYouTubePlaylistIndex(url), index, url);
+    }
+});
+
+test('extractStartTime reads the timestamp of YouTube URLs', () => {
+    const cases = [
+        ['https://youtu.be/dQw4w9WgXcQ?t=42', 42000],
+        ['https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=1m30s', 90000],
+        ['https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=1h2m3s', 3723000],
+        ['https://www.youtube.com/watch?v=dQw4w9WgXcQ&start=12.5', 12500],
+        ['https://m.youtube.com/watch?v=dQw4w9WgXcQ#t=1:30', 90000],
+        ['https://www.youtube.com/watch?v=dQw4w9WgXcQ&time_continue=7', 7000],
+        ['https://www.youtube.com/watch?v=dQw4w9WgXcQ', 0],
+        ['https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=soon', 0],
+        ['https://www.youtube.com/watch?v=dQw4w9WgXcQ&list=PLt=1', 0]
+    ];
+
+    for (const [url, expected] of cases) {
+        assert.equal(extractStartTime(url), expected, url);
+    }
+});
+
+test('extractStartTime ignores other sites and offsets past the end', () => {
+    assert.equal(extractStartTime('https://soundcloud.com/artist/song?t=1700000000'), 0);
+    assert.equal(extractStartTime('https://example.com/audio.mp3#t=30'), 0);
+    assert.equal(extractStartTime('https://youtu.be/dQw4w9WgXcQ?t=213', 213000), 0);
+    assert.equal(extractStartTime('https://youtu.be/dQw4w9WgXcQ?t=9999', 213000), 0);
+    assert.equal(extractStartTime('https://youtu.be/dQw4w9WgXcQ?t=212', 213000), 212000);
+});
+
+test('searchYouTube maps results and clears its request timeout', async () => {
+    const session = createSession({
+        search: async () => ({
+            has_continuation: false,
+            videos: [{
+                id: 'dQw4w9WgXcQ',
+                title: { text: 'Song' },
+                author: { name: 'Artist', id: 'UC1', url: 'https://www.youtube.com/channel/UC1' },
+                duration: { seconds: 213 },
+                view_count: { text: '1,234 views' }
+            }]
+        })
+    });
+
+    const timers = countTimers();
+    const [result] = await searchYouTube('song', 1, { session });
+
+    assert.equal(result.url, 'https://www.youtube.com/watch?v=dQw4w9WgXcQ');
+    assert.equal(result.durationMS, 213000);
+    assert.equal(countTimers(), timers);
+});
+
+test('searchYouTubeMusic clears its request timeout', async () => {
+    const session = createSession({
+        music: {
+            search: async () => ({
+                has_continuation: false,
+                songs: { contents: [{ id: 'dQw4w9WgXcQ', title: 'Song', artists: [{ name: 'Artist' }], duration: { seconds: 213 } }] }
+            })
+        }
+    });
+
+    const timers = countTimers();
+    const [result] = await searchYouTubeMusic('song', 1, { session });
+
+    assert.equal(result.author, 'Artist');
+    assert.equal(countTimers(), timers);
+});
+
+test('loadPlaylistPages keeps the pages before a failed one and reports the failure', async () => {
+    const failing = { has_continuation: true, videos: [{ id: 'ccccccccccc', title: 'Third' }], getContinuation: async () => { throw new Error('HTTP Error 503'); } };
+    const second = { has_continuation: true, videos: [{ id: 'bbbbbbbbbbb', title: 'Second' }], getContinuation: async () => failing };
+    const first = { has_continuation: true, getContinuation: async () => second };
+
+    const errors = [];
+    const pages = [];
+    for await (const page of loadPlaylistPages(first, { onError: error => errors.push(error) })) {
+        pages.push(page.map(track => track.title));
+    }
+
+    assert.deepEqual(pages, [['Second'], ['Third']]);
+    assert.equal(errors.length, 1);
+    assert.ok(errors[0] instanceof YtDlpExtractorError);
+    assert.equal(errors[0].message, 'HTTP Error 503');
+});
+
+test('loadPlaylistPages stops at maxTracks', async () => {
+    const second = { has_continuation: true, videos: [{ id: 'bbbbbbbbbbb', title: 'Second' }, { id: 'ccccccccccc', title: 'Third' }], getContinuation: async () => assert.fail('not needed') };
+    const first = { has_continuation: true, getContinuation: async () => second };
+
+    const pages = [];
+    for await (const page of loadPlaylistPages(first, { maxTracks: 1 })) {
+        pages.push(page.map(track => track.title));
+    }
+
+    assert.deepEqual(pages, [['Second']]);
+});
@@ -0,0 +1,154 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+
+const { createExtractor, flush } = require('./helpers');
+const { getYouTubeiAudioStream } = require('../utils');
+const { YtDlpExtractorError, PrivateVideoError } = require('../errors');
+
+const URL = 'https://www.youtube.com/watch?v=aaaaaaaaaaa';
+
+// youtubei.js client whose downloads hand out the chunks, or fail with the error download() is given
+const createYouTubei = (chunks = [Buffer.from('audio')], failure = null) => {
+    const yt = {
+        downloads: 0,
+        cancelled: 0,
+        download: async () => {
+            yt.downloads++;
+            if (failure) throw failure;
+
+            const remaining = [...chunks];
+            return new ReadableStream({
+                pull(controller) {
+                    if (remaining.length) controller.enqueue(new Uint8Array(remaining.shift()));
+                    else controller.close();
+                },
+                cancel() {
+                    yt.cancelled++;
+                }
+            });
+        }
+    };
+    return yt;
+};
+
+const createSession = (yt) => ({ get: async () => yt });
+
+const readAll = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks).toString();
+};
+
+// Pipe mode extractor whose youtubei.js client is yt and whose yt-dlp streams are PassThroughs
+const createPipingExtractor = async (t, yt, options = {}) => {
+    const extractor = await createExtractor(t, { streamMode: 'pipe', ...options });
+    extractor.youtubeSession.get.mock.mockImplementation(async () => yt);
+    const pipe = t.mock.method(extractor, 'pipeStream', () => new PassThrough());
+    return { extractor, pipe };
+};
+
+test('getYouTubeiAudioStream streams the audio youtubei.js downloads', async () => {
+    const yt = createYouTubei([Buffer.from('first '), Buffer.from('second')]);
+    const stream = await getYouTubeiAudioStream('aaaaaaaaaaa', { session: createSession(yt) });
+
+    assert.equal(await readAll(stream), 'first second');
+});
+
+test('getYouTubeiAudioStream stops the download when the stream is destroyed before it is read', async () => {
+    const yt = createYouTubei(Array.from({ length: 100 }, () => Buffer.alloc(1024)));
+    const stream = await getYouTubeiAudioStream('aaaaaaaaaaa', { session: createSession(yt) });
+
+    stream.destroy();
+    await flush();
+
+    assert.equal(yt.cancelled, 1);
+});
+
+test('getYouTubeiAudioStream throws when the download cannot start', async () => {
+    const forbidden = createYouTubei([], new Error('Request failed with status code 403'));
+    await assert.rejects(getYouTubeiAudioStream('aaaaaaaaaaa', { session: createSession(forbidden) }), YtDlpExtractorError);
+
+    await assert.rejects(getYouTubeiAudioStream('aaaaaaaaaaa', { session: createSession(null) }), /YouTube service not available/);
+});
+
+test('YouTube audio is piped through yt-dlp unless youtubei.js is the stream source', async (t) => {
+    const yt = createYouTubei();
+    const { extractor, pipe } = await createPipingExtractor(t, yt);
+
+    await extractor.stream({ extractor, title: 'Song', url: URL });
+
+    assert.equal(pipe.mock.callCount(), 1);
+    assert.equal(yt.downloads, 0);
+});
+
+test('youtubei.js streams are registered and destroyed on deactivate', async (t) => {
+    const yt = createYouTubei(Array.from({ length: 100 }, () => Buffer.alloc(1024)));
+    const { extractor, pipe } = await createPipingExtractor(t, yt, { youtubeStreamSource: 'youtubei' });
+
+    const stream = await extractor.stream({ extractor, title: 'Song', url: URL });
+    assert.equal(pipe.mock.callCount(), 0);
+    assert.equal(extractor.activeStreams.has(stream), true);
+
+    await extractor.deactivate();
+    await flush();
+
+    assert.equal(stream.destroyed, true);
+    assert.equal(yt.cancelled, 1);
+    assert.equal(extractor.activeStreams.size, 0);
+});
+
+test('a finished youtubei.js stream is no longer registered', async (t) => {
+    const { extractor } = await createPipingExtractor(t, createYouTubei(), { youtubeStreamSource: 'youtubei' });
+
+    const stream = await extractor.stream({ extractor, title: 'Song', url: URL });
+    assert.equal(await readAll(stream), 'audio');
+    await flush();
+
+    assert.equal(extractor.activeStreams.size, 0);
+});
+
+test('other sites are piped through yt-dlp even with youtubei.js as the stream source', async (t) => {
+    const yt = createYouTubei();
+    const { extractor, pipe } = await createPipingExtractor(t, yt, { youtubeStreamSource: 'youtubei' });
+
+    await extractor.stream({ extractor, title: 'Song', url: 'https://soundcloud.com/artist/song' });
+
+    assert.equal(pipe.mock.callCount(), 1);
+    assert.equal(yt.downloads, 0);
+});
+
+test('yt-dlp takes over when youtubei.js fails, and youtubei.js is tried again next time', async (t) => {
+    const yt = createYouTubei([], new Error('Request failed with status code 403'));
+    const { extractor, pipe } = await createPipingExtractor(t, yt, { youtubeStreamSource: 'youtubei' });
+    const track = { extractor, title: 'Song', url: URL };
+
+    assert.equal(await extractor.stream(track), pipe.mock.calls[0].result);
+    await extractor.stream(track);
+
+    assert.equal(yt.downloads, 2);
+    assert.equal(pipe.mock.callCount(), 2);
+});
+
+test("'auto' leaves YouTube streams to yt-dlp for a while after youtubei.js failed", async (t) => {
+    const yt = createYouTubei([], new Error('Request failed with status code 403'));
+    const { extractor, pipe } = await createPipingExtractor(t, yt, { youtubeStreamSource: 'auto' });
+    const track = { extractor, title: 'Song', url: URL };
+
+    await extractor.stream(track);
+    await extractor.stream(track);
+
+    assert.equal(yt.downloads, 1);
+    assert.equal(pipe.mock.callCount(), 2);
+    assert.ok(extractor.youtubeiStreamsPausedUntil > Date.now());
+});
+
+test("'auto' keeps using youtubei.js when the video itself was the problem", async (t) => {
+    const yt = createYouTubei([], new PrivateVideoError('Private video'));
+    const { extractor, pipe } = await createPipingExtractor(t, yt, { youtubeStreamSource: 'auto' });
+
+    await extractor.stream({ extractor, title: 'Song', url: URL });
+
+    assert.equal(pipe.mock.callCount(), 1);
+    assert.equal(extractor.youtubeiStreamsPausedUntil, 0);
+});
@@ -3,67 +3,38 @@
  * Helper functions for the custom YtDlp-Youtubei hybrid extractor
  */
 
-const { exec } = require('child_process');
-const { promisify } = require('util');
-const fs = require('fs');
-const path = require('path');
-const { Innertube } = require('youtubei.js');
-
-const execAsync = promisify(exec);
+const { Readable } = require('stream');
+const { YtDlpRunner } = require('./runner');
+const { cookieManager, convertToNetscapeFormat } = require('./cookies');
+const { YouTubeSession } = require('./session');
+const { YtDlpExtractorError, VideoUnavailableError, UnsupportedUrlError, classifyError, toExtractorError } = require('./errors');
 
 /**
  * Initialize YouTube service
+ * Uses the session of the extractor the options belong to (options.session), helpers called
+ * on their own share a default session that follows the options they were last called with.
  */
-let innertube = null;
-let lastCookies = null;
+const defaultSession = new YouTubeSession();
 
 const initializeYouTube = async (options = {}) => {
-    // Check if we need to reinitialize due to different cookies
-    const currentCookies = options.cookies;
-    const needsReinit = !innertube || (currentCookies !== lastCookies);
-
-    if (needsReinit) {
-        try {
-            const initOptions = {};
-
-            // Add cookies if provided
-            if (options.cookies) {
-                // Handle different cookie formats
-                if (typeof options.cookies === 'string') {
-                    // If it's a string, assume it's in Netscape format or raw cookie string
-                    initOptions.cookie = options.cookies;
-                } else {
-                    // If it's already an object or array, pass it directly
-                    initOptions.cookie = options.cookies;
-                }
-            }
-
-            // Add client configuration if provided
-            if (options.client) {
-                initOptions.client_name = options.client;
-            }
-
-            // Add additional options for better private content access
-            initOptions.enable_session_cache = true;
+    const session = options.session || defaultSession;
+    return session.get(options);
+};
 
-            // Close existing instance if reinitializing
-            if (innertube) {
-                try {
-                    await innertube.session.signOut();
-                } catch (e) {
-                    // Ignore sign out errors
-                }
-            }
+/**
+ * Reject with the given message if a youtubei.js request takes longer than `ms`, clearing the timer either way
+ */
+const withTimeout = async (promise, ms, message) => {
+    let timer;
+    const timeoutPromise = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), ms);
+    });
 
-            innertube = await Innertube.create(initOptions);
-            lastCookies = currentCookies;
-        } catch (error) {
-            console.error('❌ Failed to initialize YouTube service for extractor:', error);
-            // Don't throw here, return null to allow fallback
-            innertube = null;
-        }
+    try {
+        return await Promise.race([promise, timeoutPromise]);
+    } finally {
+        clearTimeout(timer);
     }
-    return innertube;
 };
 
 /**
@@ -103,6 +74,15 @@ const extractYouTubePlaylistId = (url) => {
     return match ? match[1] : null;
 };
 
+/**
+ * Extract the 1-based playlist position from a YouTube URL (`index=N`)
+ */
+const extractYouTubePlaylistIndex = (url) => {
+    const match = url.match(/[?&]index=(\d+)/);
+    const index = match ? parseInt(match[1], 10) : NaN;
+    return index > 0 ? index : null;
+};
+
 /**
  * Extract video ID from YouTube URL
  */
@@ -112,10 +92,180 @@ const extractYouTubeId = (url) => {
     return match ? match[1] : null;
 };
 
+/**
+ * Parse a view count from a number or from text like "1,234,567 views" or "1.2M views"
+ */
+const parseViewCount = (value) => {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) && value > 0 ? Math.floor(value) : 0;
+    }
+
+    const match = String(value ?? '').replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*([KMB])?/i);
+    if (!match) {
+        return 0;
+    }
+
+    const multiplier = { K: 1e3, M: 1e6, B: 1e9 }[match[2]?.toUpperCase()] || 1;
+    return Math.round(parseFloat(match[1]) * multiplier);
+};
+
+/**
+ * Parse "h:mm:ss" or "m:ss" duration text to milliseconds, 0 if it is not a duration
+ */
+const parseDurationText = (text) => {
+    if (typeof text !== 'string' || !/^\d+(:\d{1,2}){0,2}$/.test(text.trim())) {
+        return 0;
+    }
+
+    return text.trim().split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0) * 1000;
+};
+
+/**
+ * Parse a URL timestamp (`90`, `1m30s`, `1:30`) to milliseconds, 0 if it is not one
+ */
+const parseStartTime = (value) => {
+    if (value.includes(':')) {
+        return parseDurationText(value);
+    }
+
+    const parts = value.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+(?:\.\d+)?)s?)?$/);
+    if (!parts) {
+        return 0;
+    }
+
+    const [, hours = 0, minutes = 0, seconds = 0] = parts;
+    return Math.round((Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds)) * 1000);
+};
+
+/**
+ * Extract the start offset of a shared YouTube URL in milliseconds (`t=90`, `t=1m30s`, `start=90`, `#t=1:30`)
+ * 0 if there is none, the URL is not a YouTube one (where `t=` is often a cache buster) or the offset is not before durationMS.
+ */
+const extractStartTime = (url, durationMS = 0) => {
+    const match = isYouTubeUrl(url) && String(url).match(/[?&#](?:t|start|time_continue)=([\d.hms:]+)/i);
+    if (!match) {
+        return 0;
+    }
+
+    const startTime = parseStartTime(match[1].toLowerCase());
+    return durationMS > 0 && startTime >= durationMS ? 0 : startTime;
+};
+
+/**
+ * Normalize an upload date (yt-dlp's YYYYMMDD, an ISO date or a Date) to YYYY-MM-DD
+ */
+const normalizeUploadDate = (value) => {
+    if (!value) {
+        return null;
+    }
+
+    if (value instanceof Date) {
+        return Number.isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+    }
+
+    const match = String(value).match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+/**
+ * Normalize thumbnails from any source to [{ url, width, height }], smallest first
+ */
+const normalizeThumbnails = (thumbnails) => {
+    const list = Array.isArray(thumbnails) ? thumbnails : (thumbnails ? [thumbnails] : []);
+
+    return list
+        .map(thumbnail => typeof thumbnail === 'string'
+            ? { url: thumbnail, width: null, height: null }
+            : { url: thumbnail?.url, width: thumbnail?.width || null, height: thumbnail?.height || null })
+        .filter(thumbnail => thumbnail.url)
+        // Array#sort is stable, thumbnails without sizes keep their order
+        .sort((a, b) => (a.width || 0) - (b.width || 0));
+};
+
+/**
+ * Read author name, channel URL and channel ID from a youtubei.js Author
+ */
+const mapYouTubeAuthor = (author) => {
+    const channelId = typeof author?.id === 'string' && author.id.startsWith('UC') ? author.id : null;
+
+    return {
+        author: author?.name,
+        authorUrl: author?.url || (channelId ? `https://www.youtube.com/channel/${channelId}` : null),
+        channelId: channelId
+    };
+};
+
+/**
+ * Build the track info every helper returns, so tracks look the same whatever they came from
+ * @param {object} data id, title, author, authorUrl, channelId, url, durationMS, views (number or text),
+ * isLive, isShort, uploadDate, thumbnails, description
+ */
+const createTrackInfo = (data) => {
+    const thumbnails = normalizeThumbnails(data.thumbnails);
+    const durationMS = data.isLive ? 0 : Math.max(0, Math.round(data.durationMS || 0));
+
+    return {
+        id: data.id || 'unknown',
+        title: data.title || 'Unknown Title',
+        author: data.author || 'Unknown Artist',
+        authorUrl: data.authorUrl || null,
+        channelId: data.channelId || null,
+        url: data.url,
+        duration: formatDuration(durationMS / 1000),
+        durationMS: durationMS,
+        views: parseViewCount(data.views),
+        isLive: !!data.isLive,
+        isShort: !!data.isShort,
+        uploadDate: normalizeUploadDate(data.uploadDate),
+        // Largest thumbnail comes last
+        thumbnail: thumbnails[thumbnails.length - 1]?.url || null,
+        thumbnails: thumbnails,
+        description: data.description || ''
+    };
+};
+
+/**
+ * Check if a search result passes the configured search filters
+ * Durations are in seconds, results with an unknown duration pass the duration bounds
+ */
+const matchesSearchFilters = (result, filters = {}) => {
+    if (filters.excludeLive && result.isLive) {
+        return false;
+    }
+
+    if (filters.excludeShorts && result.isShort) {
+        return false;
+    }
+
+    const durationSeconds = result.durationMS / 1000;
+    if (durationSeconds > 0) {
+        if (filters.minDuration && durationSeconds < filters.minDuration) {
+            return false;
+        }
+        if (filters.maxDuration && durationSeconds > filters.maxDuration) {
+            return false;
+        }
+    }
+
+    return true;
+};
+
+/**
+ * Check if a search result comes from an auto-generated "Topic" channel or is an official audio upload
+ */
+const isOfficialAudio = (result) => {
+    return / - Topic$/i.test(result.author) || /official\s+audio/i.test(result.title);
+};
+
 /**
  * Search YouTube using youtubei.js
+ * @param {string} query Search query
+ * @param {number} limit Maximum number of results
+ * @param {object} options youtubei.js options (cookies, client)
+ * @param {object} filters minDuration/maxDuration (seconds), excludeLive, excludeShorts, preferOfficialAudio
+ * @throws {YtDlpExtractorError} Typed by the cause when the search fails, an empty array only means no results
  */
-const searchYouTube = async (query, limit = 1, options = {}) => {
+const searchYouTube = async (query, limit = 1, options = {}, filters = {}) => {
     try {
         const yt = await initializeYouTube(options);
         if (!yt) {
@@ -123,108 +273,431 @@ const searchYouTube = async (query, limit = 1, options = {}) => {
         }
 
         // Add timeout to prevent hanging
-        const searchPromise = yt.search(query, { type: 'video' });
-        const timeoutPromise = new Promise((_, reject) =>
-            setTimeout(() => reject(new Error('YouTube search timeout')), 10000)
-        );
+        let searchResults = await withTimeout(yt.search(query, { type: 'video' }), 10000, 'YouTube search timeout');
+        const results = [];
+        const seen = new Set();
+
+        // Filters can drop results, so keep reading pages until there are enough (at most 5 pages)
+        for (let page = 0; page < 5 && searchResults; page++) {
+            for (const video of searchResults.videos || []) {
+                if (!video.id || seen.has(video.id)) continue;
+                seen.add(video.id);
+
+                const durationSeconds = video.duration?.seconds || 0;
+                const title = video.title?.text || 'Unknown Title';
+                const result = createTrackInfo({
+                    id: video.id,
+                    title: title,
+                    ...mapYouTubeAuthor(video.author),
+                    url: `https://www.youtube.com/watch?v=${video.id}`,
+                    durationMS: durationSeconds * 1000,
+                    views: video.view_count?.text,
+                    isLive: !!video.is_live,
+                    isShort: (durationSeconds > 0 && durationSeconds <= 60) || /#shorts?\b/i.test(title),
+                    thumbnails: video.thumbnails,
+                    description: video.description || ''
+                });
+
+                if (matchesSearchFilters(result, filters)) {
+                    results.push(result);
+                }
+            }
 
-        const searchResults = await Promise.race([searchPromise, timeoutPromise]);
+            // Preferring official audio reorders results, so it needs a full page to pick from
+            const enough = filters.preferOfficialAudio ? results.length >= Math.max(limit, 10) : results.length >= limit;
+            if (enough || !searchResults.has_continuation) {
+                break;
+            }
 
-        if (!searchResults.videos || searchResults.videos.length === 0) {
-            return [];
+            searchResults = await withTimeout(searchResults.getContinuation(), 10000, 'YouTube search timeout');
         }
 
-        const results = searchResults.videos.slice(0, limit).map(video => ({
-            id: video.id,
-            title: video.title?.text || 'Unknown Title',
-            duration: video.duration?.text || 'Unknown',
-            thumbnail: video.thumbnails?.[0]?.url || null,
-            url: `https://www.youtube.com/watch?v=${video.id}`,
-            author: video.author?.name || 'Unknown Artist',
-            views: video.view_count?.text || '0'
-        }));
+        if (filters.preferOfficialAudio) {
+            // Array#sort is stable, so YouTube's relevance order is kept within each group
+            results.sort((a, b) => Number(isOfficialAudio(b)) - Number(isOfficialAudio(a)));
+        }
 
-        return results;
+        return results.slice(0, limit);
     } catch (error) {
-        console.error('YouTube search error:', error);
-        return [];
+        throw toExtractorError(error, { query });
     }
 };
 
 /**
- * Get YouTube playlist information and tracks
+ * Search YouTube Music songs using youtubei.js
+ * @param {string} query Search query
+ * @param {number} limit Maximum number of results
+ * @param {object} options youtubei.js options (cookies, client)
+ * @param {object} filters minDuration/maxDuration (seconds)
+ * @throws {YtDlpExtractorError} Typed by the cause when the search fails
  */
-const getYouTubePlaylist = async (playlistId, options = {}) => {
+const searchYouTubeMusic = async (query, limit = 1, options = {}, filters = {}) => {
     try {
-        // Check if this is a YouTube Mix playlist (starts with RD)
-        if (playlistId.startsWith('RD')) {
-            // For Mix playlists, we need to use a different approach
-            // Extract the seed video ID from the Mix playlist ID
-            let seedVideoId = null;
-            if (playlistId.length > 2) {
-                seedVideoId = playlistId.substring(2); // Remove 'RD' prefix
+        const yt = await initializeYouTube(options);
+        if (!yt) {
+            throw new Error('YouTube service not available');
+        }
+
+        // Add timeout to prevent hanging
+        const search = await withTimeout(yt.music.search(query, { type: 'song' }), 10000, 'YouTube Music search timeout');
+        let items = search.songs?.contents || [];
+        let continuation = search.has_continuation ? search : null;
+        const results = [];
+        const seen = new Set();
+
+        // Filters can drop results, so keep reading pages until there are enough (at most 5 pages)
+        for (let page = 0; page < 5; page++) {
+            for (const song of items) {
+                if (!song.id || seen.has(song.id)) continue;
+                seen.add(song.id);
+
+                const artists = (song.artists || song.authors || []).map(artist => artist.name).filter(Boolean);
+                const firstArtist = (song.artists || song.authors || [])[0];
+                const result = {
+                    ...createTrackInfo({
+                        id: song.id,
+                        title: song.title,
+                        author: artists.join(', '),
+                        // Artist channels are regular YouTube channels
+                        channelId: firstArtist?.channel_id || null,
+                        authorUrl: firstArtist?.channel_id ? `https://www.youtube.com/channel/${firstArtist.channel_id}` : null,
+                        url: `https://www.youtube.com/watch?v=${song.id}`,
+                        durationMS: (song.duration?.seconds || 0) * 1000,
+                        views: song.views,
+                        thumbnails: song.thumbnail?.contents
+                    }),
+                    artists: artists,
+                    album: song.album?.name || null
+                };
+
+                if (matchesSearchFilters(result, filters)) {
+                    results.push(result);
+                }
             }
 
-            if (!seedVideoId || seedVideoId.length !== 11) {
-                throw new Error('Invalid YouTube Mix playlist ID format');
+            if (results.length >= limit || !continuation) {
+                break;
             }
 
-            // For Mix playlists, we'll get the seed video and generate related tracks
-            // This is a workaround since Mix playlists are dynamically generated
-            const yt = await initializeYouTube(options);
-            if (!yt) {
-                throw new Error('YouTube service not available');
+            continuation = await withTimeout(continuation.getContinuation(), 10000, 'YouTube Music search timeout');
+            items = continuation.contents?.contents || [];
+            if (!continuation.has_continuation) {
+                continuation = null;
             }
+        }
 
-            try {
-                // Get the seed video info
-                const seedVideo = await yt.getInfo(seedVideoId);
-                if (!seedVideo) {
-                    throw new Error('Seed video not found');
-                }
+        return results.slice(0, limit);
+    } catch (error) {
+        throw toExtractorError(error, { query });
+    }
+};
 
-                // Create a basic playlist structure with the seed video
-                const tracks = [{
-                    id: seedVideoId,
-                    title: seedVideo.basic_info?.title || 'Unknown Title',
-                    duration: seedVideo.basic_info?.duration?.text || 'Unknown',
-                    thumbnail: seedVideo.basic_info?.thumbnail?.[0]?.url || null,
-                    url: `https://www.youtube.com/watch?v=${seedVideoId}`,
-                    author: seedVideo.basic_info?.author || 'Unknown Artist',
-                    views: seedVideo.basic_info?.view_count || '0'
-                }];
-
-                // Try to get related videos to simulate the Mix
-                if (seedVideo.watch_next_feed) {
-                    const relatedVideos = seedVideo.watch_next_feed
-                        .filter(item => item.type === 'CompactVideo' && item.id && item.title)
-                        .slice(0, 19) // Get up to 19 more videos (20 total)
-                        .map(video => ({
-                            id: video.id,
-                            title: video.title?.text || 'Unknown Title',
-                            duration: video.duration?.text || 'Unknown',
-                            thumbnail: video.thumbnails?.[0]?.url || null,
-                            url: `https://www.youtube.com/watch?v=${video.id}`,
-                            author: video.author?.name || 'Unknown Artist',
-                            views: video.view_count?.text || '0'
-                        }));
-
-                    tracks.push(...relatedVideos);
-                }
+/**
+ * Search prefixes understood in queries, mapped to the search source they select
+ */
+const SEARCH_PREFIXES = {
+    ytsearch: 'youtube',
+    ytmsearch: 'youtubeMusic',
+    scsearch: 'soundcloud',
+    bilisearch: 'bilibili',
+    nicosearch: 'niconico'
+};
 
-                return {
-                    id: playlistId,
-                    title: `Mix - ${seedVideo.basic_info?.title || 'Unknown'}`,
-                    description: 'YouTube Mix playlist (auto-generated)',
-                    thumbnail: seedVideo.basic_info?.thumbnail?.[0]?.url || null,
-                    author: 'YouTube',
-                    url: `https://www.youtube.com/playlist?list=${playlistId}`,
-                    tracks: tracks
-                };
-            } catch (mixError) {
-                console.error('Mix playlist generation error:', mixError);
-                throw new Error('Unable to access Mix playlist. This may be a private or unavailable Mix.');
-            }
+/**
+ * Search sources served by yt-dlp's own search extractors, mapped to their yt-dlp prefix
+ */
+const YTDLP_SEARCH_SOURCES = {
+    soundcloud: 'scsearch',
+    bilibili: 'bilisearch',
+    niconico: 'nicosearch'
+};
+
+/**
+ * Split a `prefix:query` search query
+ * @returns {{ prefix: string, source: string, query: string } | null} null if the query has no known prefix
+ */
+const parseSearchPrefix = (query) => {
+    const match = /^(\w+):([\s\S]*)$/.exec(String(query).trim());
+    if (!match) {
+        return null;
+    }
+
+    const prefix = match[1].toLowerCase();
+    if (!SEARCH_PREFIXES[prefix]) {
+        return null;
+    }
+
+    return { prefix, source: SEARCH_PREFIXES[prefix], query: match[2].trim() };
+};
+
+/**
+ * Map an entry of yt-dlp JSON output (a video, or a `--flat-playlist` entry) to track info
+ */
+const mapYtDlpEntry = (entry, fallbackUrl = null) => {
+    // yt-dlp sorts thumbnails by preference, the best one comes last; `thumbnail` is that one
+    const thumbnails = [...(entry.thumbnails || [])];
+    if (entry.thumbnail && !thumbnails.some(thumbnail => thumbnail.url === entry.thumbnail)) {
+        thumbnails.push({ url: entry.thumbnail });
+    }
+
+    return createTrackInfo({
+        id: entry.id,
+        title: entry.title || entry.fulltitle,
+        author: entry.uploader || entry.channel || entry.artist || entry.creator,
+        authorUrl: entry.uploader_url || entry.channel_url || null,
+        channelId: entry.channel_id || null,
+        // `url` is the page only for flat entries, on a resolved video it is the media URL
+        url: entry.webpage_url || (/^url/.test(entry._type || '') ? entry.url : null) || fallbackUrl || entry.original_url,
+        durationMS: (entry.duration || 0) * 1000,
+        views: entry.view_count,
+        // live_status is the newer field, is_live is still set by some extractors
+        isLive: !!entry.is_live || entry.live_status === 'is_live',
+        uploadDate: entry.upload_date || (entry.timestamp ? new Date(entry.timestamp * 1000) : null),
+        thumbnails: thumbnails,
+        description: entry.description
+    });
+};
+
+/**
+ * Search a non-YouTube catalogue through one of yt-dlp's search extractors
+ * @param {string} query Search query
+ * @param {string} source Search source, one of the YTDLP_SEARCH_SOURCES keys
+ * @param {string|YtDlpRunner} ytdlp yt-dlp binary path or runner
+ * @param {number} limit Maximum number of results
+ * @param {object} filters minDuration/maxDuration (seconds), excludeLive
+ * @throws {YtDlpExtractorError} Typed by yt-dlp's error output when the search fails
+ */
+const searchWithYtDlp = async (query, source, ytdlp, limit = 1, filters = {}) => {
+    try {
+        const prefix = YTDLP_SEARCH_SOURCES[source];
+        if (!prefix) {
+            throw new UnsupportedUrlError(`Unsupported yt-dlp search source: ${source}`);
+        }
+
+        const runner = YtDlpRunner.from(ytdlp);
+
+        // Ask for a few extra results, the filters may drop some
+        const count = Math.min(limit * 2, 50);
+        const info = await runner.json([
+            '-J',
+            '--flat-playlist',
+            '--no-warnings',
+            '--socket-timeout', '10',
+            '--',
+            `${prefix}${count}:${query}`
+        ], {
+            timeout: 20000,
+            maxBuffer: 5 * 1024 * 1024
+        });
+
+        return (info.entries || [])
+            .filter(entry => entry && (entry.webpage_url || entry.url))
+            .map(entry => mapYtDlpEntry(entry))
+            .filter(result => matchesSearchFilters(result, filters))
+            .slice(0, limit);
+    } catch (error) {
+        throw toExtractorError(error, { query });
+    }
+};
+
+const DEFAULT_MAX_PLAYLIST_TRACKS = 1000;
+const DEFAULT_MIX_SIZE = 50;
+const DEFAULT_PLAYLIST_TIME_BUDGET = 30000;
+
+// youtubei.js playability statuses of videos that cannot be played at all
+const UNPLAYABLE_STATUSES = ['ERROR', 'UNPLAYABLE', 'LOGIN_REQUIRED', 'AGE_CHECK_REQUIRED', 'AGE_VERIFICATION_REQUIRED'];
+
+/**
+ * Map the videos of a youtubei.js playlist page to track info
+ */
+const mapPlaylistVideos = (videos) => {
+    const tracks = [];
+
+    for (const video of videos) {
+        // Handle different video object formats
+        const videoId = video.id || video.video_id;
+        if (!videoId) {
+            continue;
+        }
+
+        tracks.push(createTrackInfo({
+            id: videoId,
+            title: video.title?.text || video.title,
+            ...mapYouTubeAuthor(video.author || video.channel),
+            url: `https://www.youtube.com/watch?v=${videoId}`,
+            durationMS: video.duration?.seconds ? video.duration.seconds * 1000 : parseDurationText(video.duration?.text || video.duration),
+            views: video.view_count?.text || video.views,
+            isLive: !!video.is_live,
+            thumbnails: video.thumbnails || video.thumbnail
+        }));
+    }
+
+    return tracks;
+};
+
+/**
+ * Load the pages following a youtubei.js playlist page, yielding the tracks of each page
+ * Stops when the playlist ends, maxTracks tracks were yielded or timeBudget ms have passed.
+ * A page that fails to load ends the playlist there, the tracks yielded so far are kept.
+ * @param {object} playlist youtubei.js playlist (or a page returned by getContinuation)
+ * @param {object} pagination maxTracks, timeBudget (ms), onError (called with the typed error of a failed page)
+ */
+async function* loadPlaylistPages(playlist, pagination = {}) {
+    const maxTracks = pagination.maxTracks ?? DEFAULT_MAX_PLAYLIST_TRACKS;
+    const deadline = Date.now() + (pagination.timeBudget ?? DEFAULT_PLAYLIST_TIME_BUDGET);
+    let page = playlist;
+    let loaded = 0;
+
+    while (page.has_continuation && loaded < maxTracks && Date.now() < deadline) {
+        try {
+            page = await withTimeout(page.getContinuation(), Math.max(1, Math.min(15000, deadline - Date.now())), 'Playlist request timeout');
+        } catch (error) {
+            // Keep what was loaded so far rather than failing the whole playlist
+            pagination.onError?.(toExtractorError(error));
+            return;
+        }
+
+        const tracks = mapPlaylistVideos(page.videos || page.items || []).slice(0, maxTracks - loaded);
+        if (tracks.length === 0) {
+            return;
+        }
+
+        loaded += tracks.length;
+        yield tracks;
+    }
+}
+
+/**
+ * Check if a playlist ID is a YouTube Mix/Radio (RD, RDAMVM, RDCLAK, RDEM, RDMM, ...)
+ */
+const isYouTubeMixId = (playlistId) => {
+    return typeof playlistId === 'string' && playlistId.startsWith('RD');
+};
+
+/**
+ * Get the video a Mix is seeded from, when its ID carries one (RD<id>, RDAMVM<id>, RDMM<id>)
+ * Album (RDCLAK) and artist (RDEM) radios have no seed video.
+ */
+const getMixSeedVideoId = (playlistId) => {
+    const match = playlistId.match(/^RD(?:AMVM|AMPL|MM|AO)?([a-zA-Z0-9_-]{11})$/);
+    return match ? match[1] : null;
+};
+
+/**
+ * Fetch the Mix panel of the watch page for a video (or the start of the Mix without one)
+ */
+const fetchMixPanel = async (yt, playlistId, videoId, playlistIndex) => {
+    const payload = { playlistId, parse: true };
+    if (videoId) payload.videoId = videoId;
+    if (playlistIndex !== undefined) payload.playlistIndex = playlistIndex;
+
+    const response = await withTimeout(yt.actions.execute('/next', payload), 15000, 'Mix request timeout');
+    return response?.contents?.item()?.playlist || null;
+};
+
+/**
+ * Map the videos of a Mix panel to track info
+ */
+const mapMixVideos = (panel) => {
+    return (panel?.contents || [])
+        .filter(video => video.video_id)
+        .map(video => createTrackInfo({
+            id: video.video_id,
+            title: video.title?.toString(),
+            author: video.author?.toString() || video.artists?.map(artist => artist.name).join(', '),
+            url: `https://www.youtube.com/watch?v=${video.video_id}`,
+            durationMS: (video.duration?.seconds || 0) * 1000,
+            thumbnails: video.thumbnail
+        }));
+};
+
+/**
+ * Get more tracks of a Mix, following the given track
+ * @param {string} playlistId Mix ID
+ * @param {string} lastVideoId Last video of the Mix loaded so far
+ * @param {string[]} seenIds Videos already loaded, left out of the result
+ */
+const getYouTubeMixContinuation = async (playlistId, lastVideoId, seenIds = [], options = {}) => {
+    const yt = await initializeYouTube(options);
+    if (!yt) {
+        throw new Error('YouTube service not available');
+    }
+
+    const seen = new Set(seenIds);
+    const panel = await fetchMixPanel(yt, playlistId, lastVideoId);
+    const videos = mapMixVideos(panel);
+
+    // The panel is centered on the requested video, only what comes after it is new
+    const lastIndex = videos.findIndex(video => video.id === lastVideoId);
+    return videos.slice(lastIndex + 1).filter(video => !seen.has(video.id));
+};
+
+/**
+ * Get a YouTube Mix/Radio through the watch endpoint
+ * @param {string} playlistId Mix ID
+ * @param {object} options youtubei.js options (cookies, client)
+ * @param {object} pagination
+ * - videoId: video the Mix was opened from (defaults to the seed in the ID, if any)
+ * - mixSize: number of tracks to load (default: 50), Mixes are endless
+ */
+const getYouTubeMix = async (playlistId, options = {}, pagination = {}) => {
+    const yt = await initializeYouTube(options);
+    if (!yt) {
+        throw new Error('YouTube service not available');
+    }
+
+    const mixSize = pagination.mixSize || DEFAULT_MIX_SIZE;
+    let panel;
+    try {
+        panel = await fetchMixPanel(yt, playlistId, pagination.videoId || getMixSeedVideoId(playlistId));
+    } catch (mixError) {
+        console.error('Mix playlist error:', mixError);
+        panel = null;
+    }
+
+    const tracks = mapMixVideos(panel);
+    if (tracks.length === 0) {
+        throw new Error('Unable to access Mix playlist. This may be a private or unavailable Mix.');
+    }
+
+    // Each watch page only shows a window of the Mix, keep moving it forward
+    for (let requests = 0; tracks.length < mixSize && requests < 5; requests++) {
+        const more = await getYouTubeMixContinuation(playlistId, tracks[tracks.length - 1].id, tracks.map(track => track.id), options)
+            .catch(() => []);
+        if (more.length === 0) break;
+        tracks.push(...more);
+    }
+
+    const title = panel.title?.toString() || 'Mix';
+
+    return {
+        id: playlistId,
+        title: title,
+        description: 'YouTube Mix playlist (auto-generated)',
+        thumbnail: tracks[0].thumbnail,
+        author: panel.author?.toString() || 'YouTube',
+        url: `https://www.youtube.com/playlist?list=${playlistId}`,
+        isMix: true,
+        tracks: tracks.slice(0, mixSize)
+    };
+};
+
+/**
+ * Get YouTube playlist information and tracks
+ * @param {string} playlistId Playlist ID
+ * @param {object} options youtubei.js options (cookies, client)
+ * @param {object} pagination
+ * - maxTracks: stop after this many tracks (default: 1000)
+ * - timeBudget: stop loading further pages after this many ms (default: 30000)
+ * - onError: called with the error of a page that failed to load, the pages before it are kept
+ * - firstPageOnly: only load the first page, and return the youtubei.js playlist as `continuation` if there is more
+ * - videoId, mixSize: see getYouTubeMix, for Mix/Radio IDs
+ */
+const getYouTubePlaylist = async (playlistId, options = {}, pagination = {}) => {
+    try {
+        // Mixes are generated per viewer and not available through the browse endpoint
+        if (isYouTubeMixId(playlistId)) {
+            return await getYouTubeMix(playlistId, options, pagination);
         }
 
         const yt = await initializeYouTube(options);
@@ -233,12 +706,7 @@ const getYouTubePlaylist = async (playlistId, options = {}) => {
         }
 
         // Add timeout for playlist requests
-        const playlistPromise = yt.getPlaylist(playlistId);
-        const timeoutPromise = new Promise((_, reject) =>
-            setTimeout(() => reject(new Error('Playlist request timeout')), 15000)
-        );
-
-        const playlist = await Promise.race([playlistPromise, timeoutPromise]);
+        const playlist = await withTimeout(yt.getPlaylist(playlistId), 15000, 'Playlist request timeout');
 
         if (!playlist) {
             throw new Error('Playlist not found or inaccessible');
@@ -249,65 +717,12 @@ const getYouTubePlaylist = async (playlistId, options = {}) => {
             throw new Error('Playlist is private or unavailable. Please check your authentication.');
         }
 
-        const tracks = [];
+        const maxTracks = pagination.maxTracks || DEFAULT_MAX_PLAYLIST_TRACKS;
 
         // Handle different playlist response formats
-        const videos = playlist.videos || playlist.items || [];
-
-        if (videos.length === 0) {
-            return {
-                id: playlistId,
-                title: playlist.info?.title || playlist.title?.text || 'Unknown Playlist',
-                description: playlist.info?.description || playlist.description?.text || '',
-                thumbnail: playlist.info?.thumbnails?.[0]?.url || playlist.thumbnails?.[0]?.url || null,
-                author: playlist.info?.author?.name || playlist.author?.name || 'Unknown',
-                url: `https://www.youtube.com/playlist?list=${playlistId}`,
-                tracks: []
-            };
-        }
-
-        // Process videos in batches to avoid overwhelming the API
-        const batchSize = 10;
-
-        for (let i = 0; i < videos.length; i += batchSize) {
-            const batch = videos.slice(i, i + batchSize);
-            const batchPromises = batch.map(async (video) => {
-                try {
-                    // Handle different video object formats
-                    const videoId = video.id || video.video_id;
-                    const title = video.title?.text || video.title || 'Unknown Title';
-                    const author = video.author?.name || video.channel?.name || 'Unknown Artist';
-                    const duration = video.duration?.text || video.duration || 'Unknown';
-                    const thumbnail = video.thumbnails?.[0]?.url || video.thumbnail?.url || null;
-                    const views = video.view_count?.text || video.views || '0';
-
-                    if (!videoId) {
-                        return null;
-                    }
-
-                    return {
-                        id: videoId,
-                        title: title,
-                        duration: duration,
-                        thumbnail: thumbnail,
-                        url: `https://www.youtube.com/watch?v=${videoId}`,
-                        author: author,
-                        views: views
-                    };
-                } catch (error) {
-                    return null;
-                }
-            });
-
-            const batchResults = await Promise.allSettled(batchPromises);
-            const validResults = batchResults
-                .filter(result => result.status === 'fulfilled' && result.value !== null)
-                .map(result => result.value);
-
-            tracks.push(...validResults);
-        }
+        const tracks = mapPlaylistVideos(playlist.videos || playlist.items || []).slice(0, maxTracks);
 
-        return {
+        const playlistInfo = {
             id: playlistId,
             title: playlist.info?.title || playlist.title?.text || 'Unknown Playlist',
             description: playlist.info?.description || playlist.description?.text || '',
@@ -316,6 +731,28 @@ const getYouTubePlaylist = async (playlistId, options = {}) => {
             url: `https://www.youtube.com/playlist?list=${playlistId}`,
             tracks: tracks
         };
+
+        const hasMore = playlist.has_continuation && tracks.length < maxTracks;
+
+        // Incremental mode: the caller loads the remaining pages with loadPlaylistPages
+        if (pagination.firstPageOnly) {
+            if (hasMore) {
+                playlistInfo.continuation = playlist;
+            }
+            return playlistInfo;
+        }
+
+        if (hasMore) {
+            for await (const page of loadPlaylistPages(playlist, {
+                maxTracks: maxTracks - tracks.length,
+                timeBudget: pagination.timeBudget,
+                onError: pagination.onError
+            })) {
+                tracks.push(...page);
+            }
+        }
+
+        return playlistInfo;
     } catch (error) {
         console.error('YouTube playlist error:', error);
 
@@ -332,6 +769,64 @@ const getYouTubePlaylist = async (playlistId, options = {}) => {
     }
 };
 
+/**
+ * Get a deciphered audio stream URL from youtubei.js, without spawning yt-dlp
+ * Failures are only thrown, the caller decides whether they are worth logging.
+ */
+const getYouTubeiStreamUrl = async (videoId, options = {}) => {
+    try {
+        const yt = await initializeYouTube(options);
+        if (!yt) {
+            throw new YtDlpExtractorError('YouTube service not available');
+        }
+
+        const format = await yt.getStreamingData(videoId, { type: 'audio', quality: 'best', format: 'any' });
+        if (!format?.url) {
+            throw new VideoUnavailableError('No audio format available', { videoId });
+        }
+
+        return format.url;
+    } catch (error) {
+        throw toExtractorError(error, { videoId });
+    }
+};
+
+/**
+ * Download the best audio format through youtubei.js, without spawning yt-dlp
+ * youtubei.js only fetches once the stream is read, so the first chunk is awaited here: a download that cannot
+ * start (403, deciphering) is thrown for the caller to fall back, later errors are emitted on the stream.
+ */
+const getYouTubeiAudioStream = async (videoId, options = {}) => {
+    try {
+        const yt = await initializeYouTube(options);
+        if (!yt) {
+            throw new YtDlpExtractorError('YouTube service not available');
+        }
+
+        const body = await yt.download(videoId, { type: 'audio', quality: 'best', format: 'any' });
+        const reader = body.getReader();
+        const first = await reader.read();
+
+        async function* chunks() {
+            let chunk = first;
+            while (!chunk.done) {
+                yield chunk.value;
+                chunk = await reader.read();
+            }
+        }
+
+        // Stops the download when the stream is destroyed early, also before its first read
+        const stream = Readable.from(chunks(), { objectMode: false });
+        stream.once('close', () => {
+            reader.cancel().catch(() => {});
+        });
+
+        return stream;
+    } catch (error) {
+        throw toExtractorError(error, { videoId });
+    }
+};
+
 /**
  * Get YouTube video metadata using youtubei.js
  */
@@ -344,52 +839,52 @@ const getYouTubeMetadata = async (videoId, options = {}) => {
 
         const info = await yt.getInfo(videoId);
         if (!info) {
-            throw new Error('Video not found');
-        }
-
-        // Better duration handling - try multiple sources
-        let duration = 'Unknown';
-        if (info.basic_info?.duration) {
-            if (typeof info.basic_info.duration === 'object') {
-                // If duration is an object with seconds property
-                if (info.basic_info.duration.seconds) {
-                    duration = formatDuration(info.basic_info.duration.seconds);
-                } else if (info.basic_info.duration.text) {
-                    duration = info.basic_info.duration.text;
-                }
-            } else if (typeof info.basic_info.duration === 'number') {
-                // If duration is a number (seconds)
-                duration = formatDuration(info.basic_info.duration);
-            } else if (typeof info.basic_info.duration === 'string') {
-                // If duration is already a string
-                duration = info.basic_info.duration;
-            }
+            throw new VideoUnavailableError('Video not found', { videoId });
         }
 
-        // Better thumbnail handling
-        let thumbnail = null;
-        if (info.basic_info?.thumbnail) {
-            if (Array.isArray(info.basic_info.thumbnail) && info.basic_info.thumbnail.length > 0) {
-                // Get the highest quality thumbnail
-                const thumbnails = info.basic_info.thumbnail;
-                thumbnail = thumbnails[thumbnails.length - 1]?.url || thumbnails[0]?.url;
-            } else if (typeof info.basic_info.thumbnail === 'string') {
-                thumbnail = info.basic_info.thumbnail;
-            }
+        // youtubei.js returns unplayable videos instead of throwing, their status says why
+        const playability = info.playability_status;
+        if (playability && UNPLAYABLE_STATUSES.includes(playability.status)) {
+            const message = `${playability.status}: ${playability.reason || 'Video unavailable'}`;
+            const ErrorClass = classifyError(message) || VideoUnavailableError;
+            throw new ErrorClass(message, { videoId });
         }
 
-        return {
+        // Duration is seconds in current youtubei.js, older versions used { seconds, text } or text
+        const rawDuration = info.basic_info?.duration;
+        let durationMS = 0;
+        if (typeof rawDuration === 'number') {
+            durationMS = rawDuration * 1000;
+        } else if (rawDuration?.seconds) {
+            durationMS = rawDuration.seconds * 1000;
+        } else {
+            durationMS = parseDurationText(rawDuration?.text || rawDuration);
+        }
+
+        const channel = info.basic_info?.channel;
+        const channelId = info.basic_info?.channel_id || channel?.id || null;
+
+        return createTrackInfo({
             id: videoId,
-            title: info.basic_info?.title || 'Unknown Title',
-            duration: duration,
-            thumbnail: thumbnail,
+            title: info.basic_info?.title,
+            author: info.basic_info?.author || channel?.name,
+            authorUrl: channel?.url || (channelId ? `https://www.youtube.com/channel/${channelId}` : null),
+            channelId: channelId,
             url: `https://www.youtube.com/watch?v=${videoId}`,
-            author: info.basic_info?.author || 'Unknown Artist',
-            views: info.basic_info?.view_count || 0,
-            description: info.basic_info?.short_description || ''
-        };
+            durationMS: durationMS,
+            views: info.basic_info?.view_count,
+            isLive: !!info.basic_info?.is_live,
+            uploadDate: info.page?.[0]?.microformat?.upload_date || info.basic_info?.start_timestamp || null,
+            thumbnails: info.basic_info?.thumbnail,
+            description: info.basic_info?.short_description
+        });
     } catch (error) {
         console.error('YouTube metadata error:', error);
+
+        // Knowing why a video is unplayable matters more than the yt-dlp fallback
+        if (error instanceof YtDlpExtractorError) {
+            throw error;
+        }
         return null;
     }
 };
@@ -414,14 +909,15 @@ const getRelatedTracks = async (videoId, options = {}, limit = 10) => {
             item.type === 'CompactVideo' && item.id && item.title
         ).slice(0, limit);
 
-        return relatedVideos.map(video => ({
+        return relatedVideos.map(video => createTrackInfo({
             id: video.id,
-            title: video.title?.text || 'Unknown Title',
-            duration: video.duration?.text || 'Unknown',
-            thumbnail: video.thumbnails?.[0]?.url || null,
+            title: video.title?.text,
+            ...mapYouTubeAuthor(video.author),
             url: `https://www.youtube.com/watch?v=${video.id}`,
-            author: video.author?.name || 'Unknown Artist',
-            views: video.view_count?.text || '0'
+            durationMS: (video.duration?.seconds || 0) * 1000,
+            views: video.view_count?.text,
+            isLive: !!video.is_live,
+            thumbnails: video.thumbnails
         }));
     } catch (error) {
         console.error('YouTube related tracks error:', error);
@@ -429,17 +925,32 @@ const getRelatedTracks = async (videoId, options = {}, limit = 10) => {
     }
 };
 
+/**
+ * Get a cookies file for one yt-dlp call, or null to continue without cookies
+ */
+const acquireCookiesFile = (cookies) => {
+    try {
+        return cookieManager.acquire(cookies);
+    } catch (cookieError) {
+        console.warn('Failed to write cookies for yt-dlp, continuing without:', cookieError.message);
+        return null;
+    }
+};
+
 /**
  * Get streaming URL using yt-dlp with optimizations
+ * Failures are only thrown, so a fallback chain trying several of them does not flood stderr.
+ * @param {object} options
+ * - playerClient: YouTube client yt-dlp should impersonate (e.g. 'tv', 'web_safari', 'mweb')
  */
-const getStreamingUrl = async (url, ytdlpPath, quality = 'bestaudio[ext=m4a]/bestaudio[ext=webm]/bestaudio', cookies = null) => {
+const getStreamingUrl = async (url, ytdlp, quality = 'bestaudio[ext=m4a]/bestaudio[ext=webm]/bestaudio', cookies = null, options = {}) => {
+    let cookiesFile = null;
+
     try {
-        if (!fs.existsSync(ytdlpPath)) {
-            throw new Error(`yt-dlp binary not found at: ${ytdlpPath}`);
-        }
+        const runner = YtDlpRunner.from(ytdlp);
 
-        // Optimized command for faster extraction and better compatibility
-        const optimizedArgs = [
+        // Optimized arguments for faster extraction and better compatibility
+        const args = [
             '-f', quality,
             '--get-url',
             '--no-playlist',
@@ -454,53 +965,80 @@ const getStreamingUrl = async (url, ytdlpPath, quality = 'bestaudio[ext=m4a]/bes
             '--fragment-retries', '3'
         ];
 
+        if (options.playerClient) {
+            args.push('--extractor-args', `youtube:player_client=${options.playerClient}`);
+        }
+
         // Add cookies if provided for YouTube authentication
-        if (cookies && typeof cookies === 'string' && cookies.trim()) {
-            // Create a temporary cookies file for yt-dlp
-            const tempCookiesFile = path.join(__dirname, 'temp_cookies.txt');
-            try {
-                // Convert browser cookies to Netscape format
-                const netscapeCookies = convertToNetscapeFormat(cookies);
-                fs.writeFileSync(tempCookiesFile, netscapeCookies);
-                optimizedArgs.push('--cookies', tempCookiesFile);
-            } catch (cookieError) {
-                // Proceed without cookies if conversion fails
-            }
+        cookiesFile = acquireCookiesFile(cookies);
+        if (cookiesFile) {
+            args.push('--cookies', cookiesFile);
         }
 
-        const command = `"${ytdlpPath}" ${optimizedArgs.join(' ')} "${url}"`;
+        args.push('--', url);
 
-        const { stdout, stderr } = await execAsync(command, {
+        const { stdout } = await runner.run(args, {
             timeout: 15000, // Reduced timeout for faster response
-            maxBuffer: 1024 * 1024, // 1MB buffer should be enough for URL
-            encoding: 'utf8',
-            windowsHide: true // Hide console window on Windows
+            maxBuffer: 1024 * 1024 // 1MB buffer should be enough for URL
         });
 
-        // Clean up temporary cookies file
-        if (cookies) {
-            const tempCookiesFile = path.join(__dirname, 'temp_cookies.txt');
-            try {
-                if (fs.existsSync(tempCookiesFile)) {
-                    fs.unlinkSync(tempCookiesFile);
-                }
-            } catch (cleanupError) {
-                // Ignore cleanup errors
-            }
-        }
-
-        if (stderr && !stdout) {
-            throw new Error(`yt-dlp error: ${stderr}`);
-        }
-
         const streamUrl = stdout.trim();
         if (!streamUrl || !streamUrl.startsWith('http')) {
             throw new Error('Invalid streaming URL returned');
         }
 
         return streamUrl;
+    } finally {
+        cookieManager.release(cookiesFile);
+    }
+};
+
+/**
+ * Pipe audio from yt-dlp as a Readable stream
+ * Spawns yt-dlp with `-o -` so the audio bytes never go through a CDN URL we hand out.
+ * @param {object} options
+ * - live: the URL is a live stream, its HLS fragments are written as MPEG-TS for as long as it runs
+ * - startTime: offset in milliseconds to start the audio at
+ */
+const getAudioStream = (url, ytdlp, quality = 'bestaudio[ext=m4a]/bestaudio[ext=webm]/bestaudio', cookies = null, options = {}) => {
+    const runner = YtDlpRunner.from(ytdlp);
+
+    const args = [
+        '-f', quality,
+        '-o', '-',
+        '--no-playlist',
+        '--no-warnings',
+        '--no-part',
+        '--quiet',
+        '--no-check-certificates',
+        '--no-cache-dir',
+        '--socket-timeout', '10',
+        '--retries', '3',
+        '--fragment-retries', options.live ? '10' : '3'
+    ];
+
+    // MPEG-TS can be read while it is being written, which a live stream never stops being
+    if (options.live) {
+        args.push('--hls-use-mpegts');
+    } else if (options.startTime > 0) {
+        // Sections are cut by ffmpeg seeking the media URL, so nothing before the offset is downloaded
+        args.push('--download-sections', `*${options.startTime / 1000}-inf`);
+    }
+
+    // The cookies file has to outlive this call, so it is released once yt-dlp exits
+    const cookiesFile = acquireCookiesFile(cookies);
+    if (cookiesFile) {
+        args.push('--cookies', cookiesFile);
+    }
+
+    args.push('--', url);
+
+    const cleanup = () => cookieManager.release(cookiesFile);
+
+    try {
+        return runner.stream(args, { onExit: cleanup });
     } catch (error) {
-        console.error('yt-dlp streaming error:', error.message);
+        cleanup();
         throw error;
     }
 };
@@ -508,17 +1046,14 @@ const getStreamingUrl = async (url, ytdlpPath, quality = 'bestaudio[ext=m4a]/bes
 /**
  * Get YouTube metadata using yt-dlp for consistency
  */
-const getYouTubeMetadataWithYtDlp = async (videoId, ytdlpPath, cookies = null) => {
-    let tempCookiesFile = null;
+const getYouTubeMetadataWithYtDlp = async (videoId, ytdlp, cookies = null) => {
+    let cookiesFile = null;
 
     try {
-        if (!fs.existsSync(ytdlpPath)) {
-            throw new Error(`yt-dlp binary not found at: ${ytdlpPath}`);
-        }
-
+        const runner = YtDlpRunner.from(ytdlp);
         const url = `https://www.youtube.com/watch?v=${videoId}`;
 
-        // Optimized command arguments for faster metadata extraction
+        // Optimized arguments for faster metadata extraction
         const args = [
             '-J',
             '--no-playlist',
@@ -534,105 +1069,73 @@ const getYouTubeMetadataWithYtDlp = async (videoId, ytdlpPath, cookies = null) =
         ];
 
         // Add cookies if provided
-        if (cookies) {
-            tempCookiesFile = path.join(__dirname, `temp_cookies_metadata_${Date.now()}_${Math.random().toString(36).substr(2, 9)}.txt`);
-            try {
-                // Convert cookies to Netscape format if needed
-                const netscapeCookies = convertToNetscapeFormat(cookies);
-                fs.writeFileSync(tempCookiesFile, netscapeCookies);
-                args.push('--cookies', tempCookiesFile);
-            } catch (cookieError) {
-                console.warn('Failed to write cookies for metadata, continuing without:', cookieError.message);
-                tempCookiesFile = null;
-            }
+        cookiesFile = acquireCookiesFile(cookies);
+        if (cookiesFile) {
+            args.push('--cookies', cookiesFile);
         }
 
-        const command = `"${ytdlpPath}" ${args.join(' ')} "${url}"`;
+        args.push('--', url);
 
-        const { stdout, stderr } = await execAsync(command, {
+        const info = await runner.json(args, {
             timeout: 30000, // Increased timeout to 30 seconds
             maxBuffer: 2 * 1024 * 1024, // Increased buffer to 2MB
-            windowsHide: true, // Hide console window on Windows
             killSignal: 'SIGKILL' // Use SIGKILL instead of SIGTERM for more reliable termination
         });
 
-        if (stderr && !stdout) {
-            throw new Error(`yt-dlp metadata error: ${stderr}`);
-        }
-
-        if (!stdout || stdout.trim() === '') {
-            throw new Error('yt-dlp returned empty response');
-        }
-
-        let info;
-        try {
-            info = JSON.parse(stdout);
-        } catch (parseError) {
-            throw new Error(`Failed to parse yt-dlp JSON response: ${parseError.message}`);
-        }
-
         // Validate essential fields
         if (!info.id && !info.display_id) {
             throw new Error('Invalid video data: missing video ID');
         }
 
         return {
+            ...mapYtDlpEntry(info),
             id: videoId,
-            title: info.title || info.fulltitle || 'Unknown Title',
-            duration: info.duration ? formatDuration(info.duration) : 'Unknown',
-            thumbnail: info.thumbnail || (info.thumbnails && info.thumbnails[0] ? info.thumbnails[0].url : null),
             url: `https://www.youtube.com/watch?v=${videoId}`,
-            author: info.uploader || info.channel || info.uploader_id || 'Unknown Artist',
-            views: info.view_count || 0,
-            description: info.description || ''
+            author: info.uploader || info.channel || info.uploader_id || 'Unknown Artist'
         };
     } catch (error) {
         console.error('yt-dlp YouTube metadata error:', error);
         throw error;
     } finally {
-        // Clean up temporary cookies file
-        if (tempCookiesFile) {
-            try {
-                if (fs.existsSync(tempCookiesFile)) {
-                    fs.unlinkSync(tempCookiesFile);
-                }
-            } catch (cleanupError) {
-                // Ignore cleanup errors
-            }
-        }
+        cookieManager.release(cookiesFile);
     }
 };
 
 /**
  * Get basic info using yt-dlp (fallback for non-YouTube sites)
+ * Playlist URLs return playlist info, with `type` set to 'playlist' or 'album' and one entry per track in `tracks`
  */
-const getBasicInfo = async (url, ytdlpPath) => {
+const getBasicInfo = async (url, ytdlp) => {
     try {
-        if (!fs.existsSync(ytdlpPath)) {
-            throw new Error(`yt-dlp binary not found at: ${ytdlpPath}`);
-        }
+        const runner = YtDlpRunner.from(ytdlp);
 
-        const command = `"${ytdlpPath}" -J --flat-playlist --no-warnings "${url}"`;
-        const { stdout, stderr } = await execAsync(command, {
-            timeout: 15000, // Reduced timeout
-            maxBuffer: 1024 * 1024, // 1MB buffer
-            windowsHide: true // Hide console window on Windows
+        const info = await runner.json(['-J', '--flat-playlist', '--no-warnings', '--', url], {
+            timeout: 30000, // Large sets take a while even flat
+            maxBuffer: 16 * 1024 * 1024 // Playlists list every entry
         });
 
-        if (stderr && !stdout) {
-            throw new Error(`yt-dlp info error: ${stderr}`);
+        if (info._type !== 'playlist') {
+            return mapYtDlpEntry(info, url);
         }
 
-        const info = JSON.parse(stdout);
+        // SoundCloud sets, Bandcamp albums, Mixcloud users and the like
+        const playlistInfo = mapYtDlpEntry(info, url);
+        const tracks = (info.entries || [])
+            .filter(entry => entry && (entry.webpage_url || entry.url))
+            .map(entry => {
+                const track = mapYtDlpEntry(entry);
+                // Flat entries often leave out the uploader, it is the playlist's
+                if (track.author === 'Unknown Artist') {
+                    track.author = playlistInfo.author;
+                }
+                return track;
+            });
 
         return {
-            id: info.id || 'unknown',
-            title: info.title || info.fulltitle || 'Unknown Title',
-            duration: info.duration ? formatDuration(info.duration) : 'Unknown',
-            thumbnail: info.thumbnail || null,
-            url: info.webpage_url || url,
-            author: info.uploader || info.channel || 'Unknown Artist',
-            description: info.description || ''
+            ...playlistInfo,
+            type: /album/i.test(info.extractor_key || info.extractor || '') ? 'album' : 'playlist',
+            thumbnail: playlistInfo.thumbnail || tracks.find(track => track.thumbnail)?.thumbnail || null,
+            tracks: tracks
         };
     } catch (error) {
         console.error('yt-dlp info error:', error);
@@ -640,11 +1143,53 @@ const getBasicInfo = async (url, ytdlpPath) => {
     }
 };
 
+/**
+ * Get related tracks from the site a non-YouTube track comes from, through yt-dlp
+ * SoundCloud has real recommendations (`/recommended`), elsewhere the uploader's other uploads are used.
+ * @param {string} url Track page URL
+ * @param {string|null} authorUrl Uploader page, if known
+ * @param {string|YtDlpRunner} ytdlp yt-dlp binary path or runner
+ * @param {number} limit Maximum number of tracks
+ * @throws {YtDlpExtractorError} Typed by the cause when yt-dlp fails, an empty array only means nothing was found
+ */
+const getNativeRelatedTracks = async (url, authorUrl, ytdlp, limit = 10) => {
+    let relatedUrl = authorUrl;
+    try {
+        const parsed = new URL(url);
+        if (/(^|\.)soundcloud\.com$/i.test(parsed.hostname)) {
+            relatedUrl = `${parsed.origin}${parsed.pathname.replace(/\/$/, '')}/recommended`;
+        }
+    } catch (_) {
+        // Not a URL, nothing to derive
+    }
+
+    if (!relatedUrl) {
+        return [];
+    }
+
+    try {
+        const runner = YtDlpRunner.from(ytdlp);
+        const info = await runner.json(['-J', '--flat-playlist', '--no-warnings', '--playlist-end', String(limit + 1), '--', relatedUrl], {
+            timeout: 20000,
+            maxBuffer: 5 * 1024 * 1024
+        });
+
+        return (info.entries || [])
+            .filter(entry => entry && (entry.webpage_url || entry.url))
+            .map(entry => mapYtDlpEntry(entry))
+            .filter(track => track.url !== url)
+            .slice(0, limit);
+    } catch (error) {
+        throw toExtractorError(error, { url: relatedUrl });
+    }
+};
+
 /**
  * Format duration from seconds to readable format
  */
 const formatDuration = (seconds) => {
-    if (!seconds || isNaN(seconds)) return 'Unknown';
+    // discord-player parses the duration text, so unknown durations are 0:00 rather than a word
+    if (!seconds || isNaN(seconds)) return '0:00';
 
     const hours = Math.floor(seconds / 3600);
     const minutes = Math.floor((seconds % 3600) / 60);
@@ -660,16 +1205,16 @@ const formatDuration = (seconds) => {
 /**
  * Check if yt-dlp can handle the URL
  */
-const canExtract = async (url, ytdlpPath) => {
+const canExtract = async (url, ytdlp) => {
     try {
-        if (!fs.existsSync(ytdlpPath)) {
+        const runner = YtDlpRunner.from(ytdlp);
+        if (!runner.exists()) {
             return false;
         }
 
-        const command = `"${ytdlpPath}" --simulate --quiet "${url}"`;
-        await execAsync(command, {
-            timeout: 10000,
-            windowsHide: true // Hide console window on Windows
+        // Flat, so a playlist URL does not resolve every entry before answering
+        await runner.run(['--simulate', '--quiet', '--flat-playlist', '--', url], {
+            timeout: 10000
         });
         return true;
     } catch (error) {
@@ -707,52 +1252,16 @@ const createTrackObject = (info, source = 'yt-dlp') => {
     return {
         title: info.title || 'Unknown Title',
         author: info.author || 'Unknown Artist',
-        duration: info.duration || 'Unknown',
+        duration: info.duration || formatDuration((info.durationMS || 0) / 1000),
         url: info.url,
         thumbnail: info.thumbnail || null,
+        views: parseViewCount(info.views),
+        live: !!info.isLive,
         source: source,
         raw: info
     };
 };
 
-/**
- * Convert browser cookies to Netscape format for yt-dlp
- */
-const convertToNetscapeFormat = (browserCookies) => {
-    try {
-        // Netscape format header
-        let netscapeCookies = '# Netscape HTTP Cookie File\n';
-        netscapeCookies += '# This is a generated file! Do not edit.\n\n';
-
-        // Split cookies by semicolon and process each one
-        const cookies = browserCookies.split(';').map(cookie => cookie.trim());
-
-        for (const cookie of cookies) {
-            if (!cookie || !cookie.includes('=')) continue;
-
-            const [name, ...valueParts] = cookie.split('=');
-            const value = valueParts.join('='); // Handle values that contain '='
-
-            if (!name || !value) continue;
-
-            // Netscape format: domain, domain_specified, path, secure, expires, name, value
-            // For YouTube cookies, we'll use these defaults:
-            const domain = '.youtube.com';
-            const domainSpecified = 'TRUE';
-            const path = '/';
-            const secure = name.includes('Secure') ? 'TRUE' : 'FALSE';
-            const expires = '0'; // Session cookie
-
-            netscapeCookies += `${domain}\t${domainSpecified}\t${path}\t${secure}\t${expires}\t${name.trim()}\t${value.trim()}\n`;
-        }
-
-        return netscapeCookies;
-    } catch (error) {
-        // Fallback: return original cookies
-        return browserCookies;
-    }
-};
-
 module.exports = {
     initializeYouTube,
     isValidUrl,
@@ -760,16 +1269,34 @@ module.exports = {
     isYouTubePlaylistUrl,
     extractYouTubeId,
     extractYouTubePlaylistId,
+    extractYouTubePlaylistIndex,
     searchYouTube,
+    searchYouTubeMusic,
+    searchWithYtDlp,
+    SEARCH_PREFIXES,
+    YTDLP_SEARCH_SOURCES,
+    parseSearchPrefix,
     getYouTubePlaylist,
+    loadPlaylistPages,
+    isYouTubeMixId,
+    getYouTubeMix,
+    getYouTubeMixContinuation,
     getYouTubeMetadata,
     getYouTubeMetadataWithYtDlp,
     getRelatedTracks,
     getStreamingUrl,
+    getYouTubeiStreamUrl,
+    getYouTubeiAudioStream,
+    getAudioStream,
     getBasicInfo,
+    getNativeRelatedTracks,
     formatDuration,
     canExtract,
     validateUrl,
+    createTrackInfo,
     createTrackObject,
+    parseViewCount,
+    parseDurationText,
+    extractStartTime,
     convertToNetscapeFormat
 };